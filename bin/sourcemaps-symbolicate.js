@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+'use strict';
+
+var fs = require('graceful-fs');
+var symbolicate = require('../src/symbolicate');
+
+var USAGE = [
+  'Usage: sourcemaps-symbolicate [options] [stack-trace-file]',
+  '',
+  'Maps a stack trace of generated code to the original sources.',
+  'The stack trace is read from the file or from stdin.',
+  '',
+  'Options:',
+  '  --dir <dir>            directory of the generated files (default: .)',
+  '  --maps-dir <dir>       directory of the map files',
+  '  --manifest <file>      manifest written by sourcemaps.write()',
+  '  --json                 print the frames as JSON',
+  '  --help                 print this help',
+  '',
+].join('\n');
+
+var OPTIONS = {
+  '--dir': 'dir',
+  '--maps-dir': 'mapsDir',
+  '--manifest': 'manifest',
+};
+
+function parseArgs(args) {
+  var parsed = { options: {}, file: null };
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (arg === '--json') {
+      parsed.json = true;
+    } else if (OPTIONS[arg] && i + 1 < args.length) {
+      parsed.options[OPTIONS[arg]] = args[++i];
+    } else if (arg[0] === '-' || parsed.file) {
+      throw new Error('Invalid argument: ' + arg);
+    } else {
+      parsed.file = arg;
+    }
+  }
+  return parsed;
+}
+
+function readInput(file, callback) {
+  if (file) {
+    return fs.readFile(file, 'utf8', callback);
+  }
+  var chunks = [];
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  process.stdin.on('end', function() {
+    callback(null, chunks.join(''));
+  });
+}
+
+function fail(message) {
+  process.stderr.write(message + '\n');
+  process.exitCode = 1;
+}
+
+var args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (e) {
+  fail(e.message + '\n\n' + USAGE);
+}
+
+if (args && args.help) {
+  process.stdout.write(USAGE);
+} else if (args) {
+  readInput(args.file, function(err, stackTrace) {
+    if (err) {
+      return fail(err.message);
+    }
+    symbolicate(stackTrace, args.options, function(err, result) {
+      if (err) {
+        return fail(err.message);
+      }
+      process.stdout.write(args.json ? JSON.stringify(result.frames, null, 2) + '\n' : result.stack);
+    });
+  });
+}
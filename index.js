@@ -3,6 +3,16 @@
 module.exports = {
   init: require('./src/init'),
   write: require('./src/write'),
+  validate: require('./src/validate'),
+  concat: require('./src/concat'),
+  apply: require('./src/apply'),
+  transform: require('./src/transform'),
+  report: require('./src/report'),
+  symbolicate: require('./src/symbolicate'),
+  visualize: require('./src/visualize'),
+  createCache: require('./src/cache'),
   mapSources: require('@gulp-sourcemaps/map-sources'),
   identityMap: require('@gulp-sourcemaps/identity-map'),
+  registerCommentFormatter: require('./src/utils').registerCommentFormatter,
+  registerIdentityMap: require('./src/init/identity-map').register,
 };
@@ -0,0 +1,96 @@
+'use strict';
+var utils = require('../utils');
+var composeMaps = require('../compose');
+
+function toUnixPath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+function normalize(sourceMap) {
+  if (typeof sourceMap === 'string' || sourceMap instanceof String) {
+    sourceMap = JSON.parse(sourceMap);
+  }
+
+  ['mappings', 'sources'].forEach(function(property) {
+    if (!sourceMap || sourceMap[property] === undefined) {
+      throw new Error(utils.PLUGIN_NAME + '-apply: Source map to be applied is missing the "' + property + '" property');
+    }
+  });
+
+  sourceMap = Object.assign({}, sourceMap);
+  sourceMap.sources = sourceMap.sources.map(toUnixPath);
+  if (typeof sourceMap.file === 'string') {
+    sourceMap.file = toUnixPath(sourceMap.file);
+  }
+  return sourceMap;
+}
+
+/*
+The source of `sourceMap` which is the content `upstreamMap` maps, usually the
+file itself. A map with a single source can only be of that content.
+*/
+function upstreamSource(sourceMap, upstreamMap) {
+  if (sourceMap.sources.indexOf(upstreamMap.file) !== -1) {
+    return upstreamMap.file;
+  }
+  return sourceMap.sources.length === 1 ? sourceMap.sources[0] : null;
+}
+
+// fill the missing sourcesContent of `sourceMap` from `upstreamMap`
+function withSourcesContent(sourceMap, upstreamMap) {
+  var upstreamSources = upstreamMap.sources || [];
+  var upstreamContent = upstreamMap.sourcesContent || [];
+
+  sourceMap.sourcesContent = sourceMap.sources.map(function(source, i) {
+    var content = sourceMap.sourcesContent && sourceMap.sourcesContent[i];
+    if (typeof content !== 'string') {
+      content = upstreamContent[upstreamSources.indexOf(source)];
+    }
+    return typeof content === 'string' ? content : null;
+  });
+  return sourceMap;
+}
+
+/**
+ * Apply the source map of a transformation to the file, composed with the source map the file already has
+ *
+ * @param file the vinyl file, its contents already transformed
+ * @param sourceMap the source map of the transformation, an object or JSON
+ *
+ */
+function apply(file, sourceMap) {
+  var debug = require('../debug').spawn('apply');
+
+  sourceMap = normalize(sourceMap);
+
+  var upstreamMap = file.sourceMap;
+  if (typeof upstreamMap === 'string' || upstreamMap instanceof String) {
+    upstreamMap = JSON.parse(upstreamMap);
+  }
+
+  if (!upstreamMap) {
+    file.sourceMap = sourceMap;
+    return;
+  }
+
+  // init creates a map without mappings, there is nothing to compose then
+  if (!upstreamMap.mappings) {
+    debug(function() { return 'no upstream mappings for ' + file.relative; });
+    file.sourceMap = withSourcesContent(sourceMap, upstreamMap);
+    return;
+  }
+
+  var source = upstreamSource(sourceMap, upstreamMap);
+  if (source === null) {
+    debug(function() {
+      return 'warn: source map of ' + file.relative + ' has no source for ' + upstreamMap.file + ', the upstream map is lost';
+    });
+    file.sourceMap = withSourcesContent(sourceMap, upstreamMap);
+    return;
+  }
+
+  debug(function() { return 'composing with the upstream map of ' + source; });
+  file.sourceMap = composeMaps(sourceMap, upstreamMap, source);
+}
+
+module.exports = apply;
@@ -0,0 +1,200 @@
+'use strict';
+
+var fs = require('graceful-fs');
+var path = require('path');
+var crypto = require('crypto');
+var utils = require('./utils');
+
+// the version of the cache file, a file of another version is ignored
+var VERSION = 1;
+
+// the modification time and size of a file, null if it does not exist
+function stampOf(err, stat) {
+  return err ? null : { mtime: stat.mtime.getTime(), size: stat.size };
+}
+
+function sameStamp(a, b) {
+  return a === b || !!(a && b && a.mtime === b.mtime && a.size === b.size);
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/*
+Create a cache shared by the init and write streams of watch mode rebuilds.
+
+The content of the files read by init and write is kept as long as their
+modification time and size do not change. The maps init loads are kept by the
+path of the file, the hash of its content and the options they depend on, and
+are dropped when one of the files read to load them changed. With a `path`,
+the maps are written to that file at the end of every stream and read from it
+when the cache is created, so they survive restarts.
+*/
+function createCache(options) {
+  var debug = require('./debug').spawn('cache');
+
+  options = options || {};
+
+  var cachePath = options.path ? path.resolve(options.path) : null;
+  var files = {};
+  var maps = {};
+  var dirty = false;
+  var saving = false;
+  var waiting = [];
+
+  if (cachePath) {
+    try {
+      var saved = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (saved.version === VERSION) {
+        maps = saved.maps;
+      }
+    } catch (e) {
+      debug(function() { return 'no cache file ' + cachePath + ' ' + utils.exceptionToString(e); });
+    }
+  }
+
+  /*
+  Calls back with an error or the content of the file, from the cache if the
+  file did not change since it was last read.
+  */
+  function readFile(filePath, callback) {
+    fs.stat(filePath, function(err, stat) {
+      var stamp = stampOf(err, stat);
+      var entry = files[filePath];
+      if (err) {
+        files[filePath] = { stamp: null };
+        return callback(err);
+      }
+      if (entry && sameStamp(entry.stamp, stamp)) {
+        return callback(null, entry.content);
+      }
+
+      fs.readFile(filePath, 'utf8', function(err, content) {
+        files[filePath] = err ? { stamp: null } : { stamp: stamp, content: content };
+        callback(err, content);
+      });
+    });
+  }
+
+  function mapKey(file, fileContent, initOptions) {
+    return {
+      hash: crypto.createHash('sha1').update(fileContent).digest('hex'),
+      variant: JSON.stringify([file.base, !!initOptions.composeMaps, !!initOptions.largeFile]),
+    };
+  }
+
+  /*
+  Calls back with a copy of the `{ content, map, preExistingComment }` init
+  loaded for the same content of the file, or null.
+  */
+  function getMap(file, fileContent, initOptions, callback) {
+    var entry = maps[file.path];
+    var key = mapKey(file, fileContent, initOptions);
+    if (!entry || entry.hash !== key.hash || entry.variant !== key.variant) {
+      return process.nextTick(callback, null);
+    }
+
+    var changed = false;
+    utils.forEachAsync(Object.keys(entry.dependencies), function(dependency, i, next) {
+      fs.stat(dependency, function(err, stat) {
+        changed = changed || !sameStamp(stampOf(err, stat), entry.dependencies[dependency]);
+        next();
+      });
+    }, function() {
+      if (changed) {
+        debug(function() { return 'changed dependencies of ' + file.path; });
+        if (maps[file.path] === entry) {
+          delete maps[file.path];
+          dirty = true;
+        }
+        return callback(null);
+      }
+      callback(copy(entry.result));
+    });
+  }
+
+  /*
+  Keep what init loaded for the file, `dependencies` are the paths of the
+  files read to load it, null if it cannot be cached.
+  */
+  function setMap(file, fileContent, initOptions, dependencies, result) {
+    if (!dependencies) {
+      return;
+    }
+    var stamps = {};
+    var known = dependencies.every(function(dependency) {
+      stamps[dependency] = files[dependency] ? files[dependency].stamp : undefined;
+      return stamps[dependency] !== undefined;
+    });
+    if (!known) {
+      return;
+    }
+
+    var key = mapKey(file, fileContent, initOptions);
+    maps[file.path] = {
+      hash: key.hash,
+      variant: key.variant,
+      dependencies: stamps,
+      result: copy({ content: result.content, map: result.map, preExistingComment: result.preExistingComment }),
+    };
+    dirty = true;
+  }
+
+  // forget a file and the maps loaded from it, or everything without a path
+  function invalidate(filePath) {
+    if (filePath === undefined) {
+      files = {};
+      maps = {};
+    } else {
+      filePath = path.resolve(filePath);
+      delete files[filePath];
+      Object.keys(maps).forEach(function(mapPath) {
+        if (mapPath === filePath || maps[mapPath].dependencies.hasOwnProperty(filePath)) {
+          delete maps[mapPath];
+        }
+      });
+    }
+    dirty = true;
+  }
+
+  // write the maps to the cache file, failures are only reported by debug
+  function save(callback) {
+    if (!cachePath || !dirty) {
+      return process.nextTick(callback);
+    }
+    if (saving) {
+      return waiting.push(callback);
+    }
+
+    saving = true;
+    dirty = false;
+    fs.writeFile(cachePath, JSON.stringify({ version: VERSION, maps: maps }), function(err) {
+      if (err) {
+        debug(function() { return 'warn: unable to write the cache file ' + cachePath + ' ' + utils.exceptionToString(err); });
+      }
+      saving = false;
+      callback();
+
+      var callbacks = waiting;
+      waiting = [];
+      if (callbacks.length) {
+        save(function() {
+          callbacks.forEach(function(waitingCallback) {
+            waitingCallback();
+          });
+        });
+      }
+    });
+  }
+
+  return {
+    readFile: readFile,
+    getMap: getMap,
+    setMap: setMap,
+    invalidate: invalidate,
+    save: save,
+  };
+}
+
+module.exports = createCache;
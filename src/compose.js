@@ -0,0 +1,36 @@
+'use strict';
+
+var sourceMap = require('source-map');
+var SourceMapConsumer = sourceMap.SourceMapConsumer;
+var SourceMapGenerator = sourceMap.SourceMapGenerator;
+
+function withoutSourceRoot(map) {
+  var copy = Object.assign({}, map);
+  // source-map chokes on `sourceRoot: undefined`, the key has to be gone
+  delete copy.sourceRoot;
+  return copy;
+}
+
+/*
+Apply `upstreamMap` (the map of `sourceFile`) onto `map`, so mappings pointing
+to `sourceFile` point to the sources of `upstreamMap` instead.
+
+Both maps are expected to have their sources relative to the same base,
+any sourceRoot is ignored.
+*/
+function composeMaps(map, upstreamMap, sourceFile) {
+  var generator = SourceMapGenerator.fromSourceMap(new SourceMapConsumer(withoutSourceRoot(map)));
+  generator.applySourceMap(new SourceMapConsumer(withoutSourceRoot(upstreamMap)), sourceFile);
+
+  var composed = generator.toJSON();
+  composed.sourcesContent = composed.sources.map(function(source, i) {
+    var content = composed.sourcesContent && composed.sourcesContent[i];
+    return typeof content === 'string' ? content : null;
+  });
+  if (map.file !== undefined) {
+    composed.file = map.file;
+  }
+  return composed;
+}
+
+module.exports = composeMaps;
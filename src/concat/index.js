@@ -0,0 +1,215 @@
+'use strict';
+var utils = require('../utils');
+var through = require('through2');
+var path = require('path');
+var mappings = require('../mappings');
+var unixStylePath = utils.unixStylePath;
+
+var newlineRegex = /\r\n?|\n/;
+
+/*
+Join the contents of the files and their source maps, files without a source
+map (or with the empty map of init) are mapped line by line to themselves.
+Sources are made relative to the base of the joined file, a segment pointing to
+a source or name the map does not have is an error.
+*/
+function join(files, joinedFile, newLine) {
+  var sources = [];
+  var sourcesContent = [];
+  var names = [];
+  var lines = [];
+  var chunks = [];
+  var line = 0;
+  var column = 0;
+
+  function addSegment(generatedLine, segment) {
+    while (lines.length <= generatedLine) {
+      lines.push([]);
+    }
+    lines[generatedLine].push(segment);
+  }
+
+  function addSource(source, content) {
+    var index = sources.indexOf(source);
+    if (index === -1) {
+      index = sources.push(source) - 1;
+      sourcesContent[index] = null;
+    }
+    if (typeof content === 'string' && sourcesContent[index] === null) {
+      sourcesContent[index] = content;
+    }
+    return index;
+  }
+
+  function addName(name) {
+    var index = names.indexOf(name);
+    return index === -1 ? names.push(name) - 1 : index;
+  }
+
+  function resolveSource(file, sourceRoot, source) {
+    if (utils.urlRegex.test(source)) {
+      return source;
+    }
+    if (utils.urlRegex.test(sourceRoot)) {
+      return sourceRoot.replace(/\/?$/, '/') + source;
+    }
+    return unixStylePath(path.relative(joinedFile.base, path.resolve(file.base, sourceRoot || '', source)));
+  }
+
+  function addMappings(file, content) {
+    var sourceMap = file.sourceMap;
+    var columnOffset = column;
+
+    // like concat-with-sourcemaps, the empty map of init counts as no map
+    if (!sourceMap || !sourceMap.mappings) {
+      var source = unixStylePath(path.relative(joinedFile.base, file.path));
+      var sourceContent = content;
+      if (sourceMap && sourceMap.sources && sourceMap.sources.length) {
+        source = resolveSource(file, sourceMap.sourceRoot, sourceMap.sources[0]);
+        sourceContent = sourceMap.sourcesContent ? sourceMap.sourcesContent[0] : null;
+      }
+      var sourceIndex = addSource(source, sourceContent);
+      content.split(newlineRegex).forEach(function(text, i) {
+        if (text.length) {
+          addSegment(line + i, [i ? 0 : columnOffset, sourceIndex, i, 0]);
+        }
+      });
+      return;
+    }
+
+    var sourceIndexes = (sourceMap.sources || []).map(function(source, i) {
+      return addSource(resolveSource(file, sourceMap.sourceRoot, source), sourceMap.sourcesContent && sourceMap.sourcesContent[i]);
+    });
+    var nameIndexes = (sourceMap.names || []).map(addName);
+
+    mappings.decode(sourceMap.mappings).forEach(function(segments, i) {
+      segments.forEach(function(segment) {
+        var joinedSegment = [segment[0] + (i ? 0 : columnOffset)];
+        if (segment.length > 1) {
+          if (sourceIndexes[segment[1]] === undefined) {
+            throw new Error('Source index ' + segment[1] + ' out of range in mappings');
+          }
+          joinedSegment.push(sourceIndexes[segment[1]], segment[2], segment[3]);
+        }
+        if (segment.length > 4) {
+          if (nameIndexes[segment[4]] === undefined) {
+            throw new Error('Name index ' + segment[4] + ' out of range in mappings');
+          }
+          joinedSegment.push(nameIndexes[segment[4]]);
+        }
+        addSegment(line + i, joinedSegment);
+      });
+    });
+  }
+
+  function advance(text) {
+    var textLines = text.split(newlineRegex);
+    line += textLines.length - 1;
+    column = (textLines.length > 1 ? 0 : column) + textLines[textLines.length - 1].length;
+  }
+
+  files.forEach(function(file, i) {
+    if (i) {
+      chunks.push(new Buffer(newLine));
+      advance(newLine);
+    }
+    var content = file.contents.toString();
+    try {
+      addMappings(file, content);
+    } catch (e) {
+      throw new Error(file.relative + ': ' + utils.exceptionToString(e));
+    }
+    chunks.push(file.contents);
+    advance(content);
+  });
+
+  return {
+    contents: Buffer.concat(chunks),
+    sourceMap: {
+      version: 3,
+      file: unixStylePath(joinedFile.relative),
+      names: names,
+      mappings: mappings.encode(lines),
+      sources: sources,
+      sourcesContent: sourcesContent,
+    },
+  };
+}
+
+/**
+ * Concatenate the files into one file with a source map combining their source maps
+ *
+ * @param name path of the concatenated file, relative to the base of the last file
+ * @param options options to change the way the files are joined
+ *
+ */
+function concat(name, options) {
+  var debug = require('../debug').spawn('concat');
+
+  if (!name || typeof name !== 'string') {
+    throw new Error(utils.PLUGIN_NAME + '-concat: Missing file name');
+  }
+  options = options || {};
+
+  // set defaults for options if unset
+  if (options.newLine === undefined) {
+    options.newLine = '\n';
+  }
+
+  var files = [];
+
+  function sourceMapConcat(file, encoding, callback) {
+    if (file.isNull()) {
+      return callback();
+    }
+
+    if (file.isStream()) {
+      return utils.bufferStream(file.contents, function(err, contents) {
+        if (err) {
+          return callback(new Error(utils.PLUGIN_NAME + '-concat: ' + utils.exceptionToString(err)));
+        }
+        file.contents = contents;
+        files.push(file);
+        callback();
+      });
+    }
+
+    files.push(file);
+    callback();
+  }
+
+  function sourceMapFlush(callback) {
+    if (!files.length) {
+      return callback();
+    }
+
+    var latestFile = files[files.length - 1];
+    var joinedFile = latestFile.clone({ contents: false });
+    joinedFile.path = path.join(latestFile.base, name);
+    delete joinedFile.sourceMap;
+
+    var joined;
+    try {
+      joined = join(files, joinedFile, options.newLine);
+    } catch (e) {
+      return callback(new Error(utils.PLUGIN_NAME + '-concat: ' + utils.exceptionToString(e)));
+    }
+
+    joinedFile.contents = joined.contents;
+    // like gulp-concat, the joined file only has a source map if its files have one
+    var hasSourceMap = files.some(function(file) {
+      return file.sourceMap;
+    });
+    if (hasSourceMap) {
+      joinedFile.sourceMap = joined.sourceMap;
+    }
+    debug(function() { return 'joined ' + files.length + ' files into ' + joinedFile.relative; });
+
+    this.push(joinedFile);
+    callback();
+  }
+
+  return through.obj(sourceMapConcat, sourceMapFlush);
+}
+
+module.exports = concat;
@@ -0,0 +1,286 @@
+'use strict';
+
+var acorn = require('acorn');
+var css = require('css');
+var SourceMapGenerator = require('source-map').SourceMapGenerator;
+var rootDebug = require('../debug').spawn('init:identityMap');
+
+var JS_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'export',
+  'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'null', 'return',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with',
+  // ES2015 and later
+  'async', 'await', 'enum', 'implements', 'interface', 'let', 'of', 'package', 'private', 'protected', 'public',
+  'static', 'yield',
+  // TypeScript
+  'abstract', 'as', 'declare', 'infer', 'is', 'keyof', 'namespace', 'readonly', 'type',
+];
+
+/*
+A forgiving tokenizer for languages without a parser at hand (TypeScript, JSX,
+Sass, Less, JSON). Every match of the regex is a token, the last alternative
+matches any single character, so the matches cover the whole content.
+The groups are: 1 comment, 2 whitespace, 3 string, 4 word, 5 anything else.
+*/
+var COMMENT = '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/)';
+var DOUBLE_QUOTED = '"(?:[^"\\\\\\n]|\\\\.)*"';
+var SINGLE_QUOTED = '\'(?:[^\'\\\\\\n]|\\\\.)*\'';
+var TEMPLATE = '`(?:[^`\\\\]|\\\\[\\s\\S])*`';
+
+function createLexer(strings, word, names) {
+  return {
+    regex: new RegExp([COMMENT, '(\\s+)', '(' + strings.join('|') + ')', '(' + word + ')', '([\\s\\S])'].join('|'), 'g'),
+    names: names,
+  };
+}
+
+var LEXERS = {
+  js: createLexer([DOUBLE_QUOTED, SINGLE_QUOTED, TEMPLATE], '[A-Za-z_$][\\w$]*', true),
+  css: createLexer([DOUBLE_QUOTED, SINGLE_QUOTED], '[-@#.$]?[A-Za-z_][\\w-]*', false),
+  json: createLexer([DOUBLE_QUOTED], '[\\w.+-]+', false),
+};
+
+function lex(lexer, content, onToken) {
+  var regex = new RegExp(lexer.regex.source, 'g');
+  var line = 1;
+  var column = 0;
+  var match;
+
+  while ((match = regex.exec(content)) !== null) {
+    // comments and whitespace are not mapped
+    if (!match[1] && !match[2]) {
+      onToken({ line: line, column: column }, lexer.names && match[4] && JS_KEYWORDS.indexOf(match[4]) === -1 ? match[4] : null);
+    }
+
+    var lines = match[0].split(/\r\n?|\n/);
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      column = lines[lines.length - 1].length;
+    } else {
+      column += match[0].length;
+    }
+  }
+}
+
+function addTokens(generator, source, tokenize, content) {
+  tokenize(content, function(position, name) {
+    var mapping = {
+      original: position,
+      generated: position,
+      source: source,
+    };
+    if (name) {
+      mapping.name = name;
+    }
+    generator.addMapping(mapping);
+  });
+}
+
+function tokenizeLexer(lexer) {
+  return function(content, onToken) {
+    lex(lexer, content, onToken);
+  };
+}
+
+function tokenizeJs(acornOptions) {
+  return function(content, onToken) {
+    var tokens = [];
+    try {
+      var tokenizer = acorn.tokenizer(content, Object.assign({ locations: true, allowHashBang: true }, acornOptions));
+      while (true) {
+        var token = tokenizer.getToken();
+        if (token.type.label === 'eof') {
+          break;
+        }
+        tokens.push(token);
+      }
+    } catch (e) {
+      rootDebug(function() { return 'acorn failed, falling back to lexer: ' + e.message; });
+      return lex(LEXERS.js, content, onToken);
+    }
+
+    tokens.forEach(function(token) {
+      onToken(token.loc.start, token.type.label === 'name' ? token.value : null);
+    });
+  };
+}
+
+function tokenizeCss(content, onToken) {
+  var debug = rootDebug.spawn('css');
+
+  var ast = css.parse(content, { silent: true });
+  debug(function() {
+    return ast;
+  });
+
+  var registerTokens = function(ast) {
+    if (ast.position) {
+      onToken(ast.position.start, null);
+    }
+
+    function logAst(key, ast) {
+      debug(function() {
+        return 'key: ' + key;
+      });
+      debug(function() {
+        return ast[key];
+      });
+    }
+
+    for (var key in ast) {
+      logAst(key, ast);
+      if (key !== 'position') {
+        if (Object.prototype.toString.call(ast[key]) === '[object Object]') {
+          registerTokens(ast[key]);
+        } else if (Array.isArray(ast[key])) {
+          debug(function() {
+            return '@@@@ ast[key] isArray @@@@';
+          });
+          for (var i = 0; i < ast[key].length; i++) {
+            registerTokens(ast[key][i]);
+          }
+        }
+      }
+    }
+  };
+  registerTokens(ast);
+}
+
+// keep only the given ranges of the content, everything else becomes whitespace so positions do not change
+function blankOutside(content, ranges) {
+  var result = content.replace(/[^\r\n]/g, ' ');
+  ranges.forEach(function(range) {
+    result = result.slice(0, range[0]) + content.slice(range[0], range[1]) + result.slice(range[1]);
+  });
+  return result;
+}
+
+function tokenizeHtml(content, onToken) {
+  var scripts = [];
+  var styles = [];
+  var tags = [];
+  var tagRegex = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>|<[A-Za-z!/][^>]*>/gi;
+  var match;
+
+  while ((match = tagRegex.exec(content)) !== null) {
+    tags.push(match.index);
+    if (!match[1]) {
+      continue;
+    }
+    var start = match.index + match[0].indexOf('>') + 1;
+    var range = [start, start + match[3].length];
+    var type = /\btype\s*=\s*["']?([^"'\s>]+)/i.exec(match[2]);
+    if (match[1].toLowerCase() === 'style') {
+      styles.push(range);
+    } else if (!type || /^((text|application)\/(java|ecma)script|module)$/i.test(type[1])) {
+      scripts.push(range);
+    }
+  }
+
+  var tokens = [];
+  function collect(position, name) {
+    tokens.push({ position: position, name: name });
+  }
+
+  var lineStarts = [0];
+  var newlineRegex = /\r\n?|\n/g;
+  while ((match = newlineRegex.exec(content)) !== null) {
+    lineStarts.push(match.index + match[0].length);
+  }
+
+  // the start of every tag is mapped
+  tags.forEach(function(index) {
+    var line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) {
+      line++;
+    }
+    collect({ line: line + 1, column: index - lineStarts[line] }, null);
+  });
+  if (scripts.length) {
+    tokenizeJs({})(blankOutside(content, scripts), collect);
+  }
+  if (styles.length) {
+    tokenizeCss(blankOutside(content, styles), collect);
+  }
+
+  tokens.sort(function(a, b) {
+    return a.position.line - b.position.line || a.position.column - b.position.column;
+  }).forEach(function(token) {
+    onToken(token.position, token.name);
+  });
+}
+
+function createGenerator(tokenize) {
+  return function(source, content) {
+    var generator = new SourceMapGenerator({ file: source });
+    addTokens(generator, source, tokenize, content);
+    generator.setSourceContent(source, content);
+    return generator.toJSON();
+  };
+}
+
+var generators = {};
+
+/*
+Register a generator of identity source maps for one or more file extensions,
+it is called with the source path and the content of the file and returns
+the source map. Returns a function which unregisters the generator again.
+*/
+function register(extensions, generator) {
+  if (typeof generator !== 'function') {
+    throw new Error('An identity map generator must be a function');
+  }
+
+  // the generators replaced, to restore them on unregister
+  var replaced = {};
+  [].concat(extensions).forEach(function(extension) {
+    extension = extension[0] === '.' ? extension : '.' + extension;
+    replaced[extension] = generators[extension];
+    generators[extension] = generator;
+  });
+  return function unregister() {
+    Object.keys(replaced).forEach(function(extension) {
+      if (generators[extension] !== generator) {
+        return;
+      }
+      if (replaced[extension]) {
+        generators[extension] = replaced[extension];
+      } else {
+        delete generators[extension];
+      }
+    });
+  };
+}
+
+register(['.js', '.cjs'], createGenerator(tokenizeJs({})));
+register('.mjs', createGenerator(tokenizeJs({ sourceType: 'module' })));
+register(['.jsx', '.ts', '.tsx'], createGenerator(tokenizeLexer(LEXERS.js)));
+register('.css', createGenerator(tokenizeCss));
+register(['.scss', '.less'], createGenerator(tokenizeLexer(LEXERS.css)));
+register('.json', createGenerator(tokenizeLexer(LEXERS.json)));
+register(['.html', '.htm'], createGenerator(tokenizeHtml));
+
+// generators registered by users only exist in the main thread, not in the workers
+var builtIns = Object.assign({}, generators);
+
+function isBuiltIn(extension) {
+  return !!generators[extension] && generators[extension] === builtIns[extension];
+}
+
+/*
+The identity source map of a file, null if there is no generator for its extension.
+*/
+function generate(extension, source, content) {
+  var generator = generators[extension];
+  if (!generator) {
+    rootDebug(function() { return 'no identity map generator for ' + extension; });
+    return null;
+  }
+  return generator(source, content);
+}
+
+module.exports = {
+  register: register,
+  generate: generate,
+  isBuiltIn: isBuiltIn,
+};
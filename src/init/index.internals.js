@@ -2,130 +2,389 @@
 
 var utils = require('../utils');
 var rootDebug = require('../debug');
-var convert = require('convert-source-map');
+var sourceMap = require('source-map');
 var stripBom = require('strip-bom-string');
 var urlRegex = utils.urlRegex;
-var fs = require('graceful-fs');
+var dataUrlRegex = utils.dataUrlRegex;
 var path = require('path');
+var url = require('url');
 var unixStylePath = utils.unixStylePath;
 var exceptionToString = utils.exceptionToString;
+var composeMaps = require('../compose');
+var SourceMapConsumer = sourceMap.SourceMapConsumer;
+var SourceMapGenerator = sourceMap.SourceMapGenerator;
 
-module.exports = function(options, file, fileContent) {
+module.exports = function(options, file, fileContent, reader) {
 
-  function loadMaps() {
+  // the local files read to load the maps, null once a URL was loaded through a hook
+  var dependencies = [];
 
+  function loadMaps(callback) {
+
+    _loadSources(file.path, fileContent, function(sources) {
+      if (!sources.map) {
+        return callback(null, sources);
+      }
+
+      function done() {
+        // remove source map comment from source
+        file.contents = Buffer.isBuffer(sources.content) ? sources.content : new Buffer(sources.content, 'utf8');
+        callback(null, sources);
+      }
+
+      if (options.composeMaps) {
+        return _composeUpstreamMaps(sources, [file.path], done);
+      }
+      done();
+    });
+  }
+
+  function _isUrl(location) {
+    return urlRegex.test(location);
+  }
+
+  // like path.resolve, but keeps locations below a URL as URLs
+  function _resolve(base, location) {
+    if (_isUrl(location)) {
+      return location;
+    }
+    if (_isUrl(base)) {
+      return url.resolve(base.replace(/\/?$/, '/'), location);
+    }
+    return path.resolve(base, location);
+  }
+
+  function _dirname(location) {
+    if (_isUrl(location)) {
+      return url.resolve(location, '.');
+    }
+    return path.dirname(location);
+  }
+
+  /*
+  Read a local file, or a URL through the `fetch` or `resolveUrl` hook.
+  Calls back with the content or null, a missing resource is never an error.
+  */
+  function _read(location, callback) {
+    var debug = rootDebug.spawn('init:internals:loadMaps:_read');
+
+    function readFile(filePath) {
+      if (dependencies && dependencies.indexOf(filePath) === -1) {
+        dependencies.push(filePath);
+      }
+      reader.read(filePath, function(err, content) {
+        if (err) {
+          debug(function() { return 'warn: unable to read ' + filePath + ' ' + exceptionToString(err); });
+        }
+        callback(content);
+      });
+    }
+
+    if (!_isUrl(location)) {
+      return readFile(location);
+    }
+    dependencies = null;
+
+    if (typeof options.fetch === 'function') {
+      debug(function() { return 'fetch ' + location; });
+      return utils.callHook(options.fetch, [location, file], function(err, content) {
+        if (err) {
+          debug(function() { return 'warn: unable to fetch ' + location + ' ' + exceptionToString(err); });
+        }
+        if (err || content === null || content === undefined) {
+          return callback(null);
+        }
+        if (typeof content === 'object' && !Buffer.isBuffer(content)) {
+          content = JSON.stringify(content);
+        }
+        callback(stripBom(content.toString()));
+      });
+    }
+
+    if (typeof options.resolveUrl === 'function') {
+      debug(function() { return 'resolveUrl ' + location; });
+      return utils.callHook(options.resolveUrl, [location, file], function(err, filePath) {
+        if (err || !filePath) {
+          debug(function() { return 'warn: unable to resolve ' + location + ' ' + (err ? exceptionToString(err) : ''); });
+          return callback(null);
+        }
+        readFile(path.resolve(file.cwd, filePath));
+      });
+    }
+
+    debug(function() { return 'no fetch or resolveUrl option to load ' + location; });
+    callback(null);
+  }
+
+  function _loadSources(filePath, content, callback) {
     var sources = {
+      filePath: filePath,
       path: '',
       map: null,
-      content: fileContent,
+      content: content,
       preExistingComment: null,
     };
 
+    function fixSources() {
+      _flattenSections(sources, function() {
+        _fixSources(sources, function() {
+          callback(sources);
+        });
+      });
+    }
+
     _getInlineSources(sources);
-    if (!sources.map) {
-      // ahh not inline, so try file
-      _getFileSources(sources);
+    if (sources.map) {
+      return fixSources();
     }
+    // ahh not inline, so try file
+    _getFileSources(sources, fixSources);
+  }
 
-    _fixSources(sources);
+  function _composeUpstreamMaps(sources, visited, callback) {
+    var debug = rootDebug.spawn('init:internals:loadMaps:_composeUpstreamMaps');
 
-    return sources;
+    // follow the map chain of every source which has a map of its own
+    var upstreams = [];
+    utils.forEachAsync(sources.map.sources.slice(), function(source, i, next) {
+      var content = sources.map.sourcesContent[i];
+      if (_isUrl(source) || typeof content !== 'string') {
+        return next();
+      }
+
+      var absPath = path.resolve(file.base, source);
+      if (visited.indexOf(absPath) !== -1) {
+        debug(function() { return 'warn: circular source map chain: ' + absPath; });
+        return next();
+      }
+
+      _loadSources(absPath, content, function(upstream) {
+        if (!upstream.map) {
+          return next();
+        }
+        _composeUpstreamMaps(upstream, visited.concat(absPath), function() {
+          // by the name of the source, composing reorders the sources of the map
+          upstreams[i] = { source: source, map: upstream.map };
+          next();
+        });
+      });
+    }, function() {
+      upstreams.forEach(function(upstream) {
+        debug(function() { return 'applying upstream map of ' + upstream.source; });
+        try {
+          sources.map = composeMaps(sources.map, upstream.map, upstream.source);
+        } catch (e) {
+          debug(function() {
+            return 'warn: invalid upstream source map of ' + upstream.source + ': ' + exceptionToString(e);
+          });
+        }
+      });
+      callback();
+    });
   }
 
-  function _fixSources(sources) {
-    var debug = rootDebug.spawn('init:internals:loadMaps:_fixSources');
+  function _flattenSections(sources, callback) {
+    var debug = rootDebug.spawn('init:internals:loadMaps:_flattenSections');
 
-    // fix source paths and sourceContent for imported source map
-    if (sources.map) {
-      sources.map.sourcesContent = sources.map.sourcesContent || [];
-      sources.map.sources.forEach(function(source, i) {
-        if (source.match(urlRegex)) {
-          sources.map.sourcesContent[i] = sources.map.sourcesContent[i] || null;
-          return;
+    // an index map lists `sections` instead of `sources`, flatten it to a regular map
+    if (!sources.map || !sources.map.sections) {
+      return callback();
+    }
+
+    utils.forEachAsync(sources.map.sections, function(section, i, next) {
+      if (section.map || !section.url) {
+        return next();
+      }
+      var sectionFile = _resolve(sources.path, section.url);
+      debug(function() { return 'loading section map ' + sectionFile; });
+      _read(sectionFile, function(content) {
+        var map = null;
+        try {
+          map = JSON.parse(content);
+        } catch (e) {
+          map = null;
         }
-        var absPath = path.resolve(sources.path, source);
-        sources.map.sources[i] = unixStylePath(path.relative(file.base, absPath));
+        if (!map || typeof map !== 'object') {
+          debug(function() { return 'warn: section map not found or invalid: ' + sectionFile; });
+          return next();
+        }
+        section.map = map;
+        delete section.url;
+        next();
+      });
+    }, function() {
+      try {
+        sources.map = _flattenedMap(sources.map);
+        debug('sections flattened');
+      } catch (e) {
+        debug(function() {
+          return 'warn: invalid index source map: ' + exceptionToString(e);
+        });
+        sources.map = null;
+      }
+      callback();
+    });
+  }
 
-        if (!sources.map.sourcesContent[i]) {
-          var sourceContent = null;
-          if (sources.map.sourceRoot) {
-            if (sources.map.sourceRoot.match(urlRegex)) {
-              sources.map.sourcesContent[i] = null;
-              return;
-            }
-            absPath = path.resolve(sources.path, sources.map.sourceRoot, source);
-          }
+  function _flattenedMap(indexMap) {
+    var generator = new SourceMapGenerator({ file: indexMap.file });
 
-          // if current file: use content
-          if (absPath === file.path) {
-            sourceContent = sources.content;
-          } else { // attempt load content from file
-            try {
-              debug(function() { return 'No source content for "' + source + '". Loading from file.'; });
-              sourceContent = stripBom(fs.readFileSync(absPath, 'utf8'));
-            } catch (e) {
-              debug(function() { return 'warn: source file not found: ' + absPath; });
-            }
+    // sections are consumed one by one, as the indexed consumer of source-map loses names and column offsets
+    indexMap.sections.forEach(function(section) {
+      // the sections whose map did not load are left out
+      if (!section.map || typeof section.map !== 'object') {
+        return;
+      }
+      var offset = section.offset || { line: 0, column: 0 };
+      var consumer = new SourceMapConsumer(section.map);
+
+      consumer.eachMapping(function(mapping) {
+        var newMapping = {
+          generated: {
+            line: mapping.generatedLine + offset.line,
+            column: mapping.generatedColumn + (mapping.generatedLine === 1 ? offset.column : 0),
+          },
+        };
+        if (mapping.source !== null) {
+          newMapping.source = mapping.source;
+          newMapping.original = { line: mapping.originalLine, column: mapping.originalColumn };
+          if (mapping.name !== null) {
+            newMapping.name = mapping.name;
           }
-          sources.map.sourcesContent[i] = sourceContent;
         }
+        generator.addMapping(newMapping);
+      });
 
+      consumer.sources.forEach(function(source) {
+        var content = consumer.sourceContentFor(source, true);
+        if (content !== null) {
+          generator.setSourceContent(source, content);
+        }
       });
-      // remove source map comment from source
-      file.contents = new Buffer(sources.content, 'utf8');
+    });
+
+    return generator.toJSON();
+  }
+
+  function _fixSources(sources, callback) {
+    var debug = rootDebug.spawn('init:internals:loadMaps:_fixSources');
+
+    // fix source paths and sourceContent for imported source map
+    if (!sources.map) {
+      return callback();
     }
 
+    sources.map.sourcesContent = sources.map.sourcesContent || [];
+    utils.forEachAsync(sources.map.sources, function(source, i, next) {
+      var absPath = _resolve(sources.path, source);
+      if (_isUrl(absPath)) {
+        sources.map.sources[i] = absPath;
+      } else {
+        sources.map.sources[i] = unixStylePath(path.relative(file.base, absPath));
+      }
+
+      if (sources.map.sourcesContent[i]) {
+        return next();
+      }
+      sources.map.sourcesContent[i] = null;
+
+      if (sources.map.sourceRoot) {
+        absPath = _resolve(_resolve(sources.path, sources.map.sourceRoot), source);
+      }
+
+      if (_isUrl(absPath) && !options.fetch && !options.resolveUrl) {
+        return next();
+      }
+
+      // if current file: use content
+      if (absPath === sources.filePath) {
+        sources.map.sourcesContent[i] = Buffer.isBuffer(sources.content) ? sources.content.toString() : sources.content;
+        return next();
+      }
+
+      // attempt load content from file
+      debug(function() { return 'No source content for "' + source + '". Loading from file.'; });
+      _read(absPath, function(sourceContent) {
+        if (sourceContent === null) {
+          debug(function() { return 'warn: source file not found: ' + absPath; });
+        }
+        sources.map.sourcesContent[i] = sourceContent;
+        next();
+      });
+    }, callback);
+  }
+
+  // the content of large files is a Buffer, only its last line is converted to a string
+  function _getTrailingComment(content) {
+    return Buffer.isBuffer(content) ? utils.getTrailingCommentOfBuffer(content) : utils.getTrailingComment(content);
   }
 
   function _getInlineSources(sources) {
     var debug = rootDebug.spawn('init:internals:loadMaps:_getInlineSources');
 
-    sources.preExistingComment = utils.getInlinePreExisting(sources.content);
+    var trailingComment = _getTrailingComment(sources.content);
+    if (trailingComment) {
+      sources.preExistingComment = trailingComment.comment;
+    }
     // Try to read inline source map
-    sources.map = convert.fromSource(sources.content, options.largeFile);
+    if (!trailingComment || !dataUrlRegex.test(trailingComment.url)) {
+      return sources;
+    }
 
-    if (!sources.map) {
+    try {
+      sources.map = utils.sourceMapFromDataUrl(trailingComment.url);
+    } catch (e) {
+      debug(function() { return 'warn: invalid inline source map: ' + exceptionToString(e); });
       return sources;
     }
 
-    sources.map = sources.map.toObject();
     // sources in map are relative to the source file
-    sources.path = path.dirname(file.path);
-    if (!options.largeFile) {
-      debug('comment REMOVED');
-      sources.content = convert.removeComments(sources.content);
-    }
+    sources.path = _dirname(sources.filePath);
+    debug('comment REMOVED');
+    sources.content = sources.content.slice(0, trailingComment.index);
   }
 
-  function _getFileSources(sources) {
+  function _getFileSources(sources, callback) {
     var debug = rootDebug.spawn('init:internals:loadMaps:_getFileSources');
 
     // look for source map comment referencing a source map file
-    var mapComment = convert.mapFileCommentRegex.exec(sources.content);
+    var trailingComment = _getTrailingComment(sources.content);
 
     var mapFile;
-    if (mapComment) {
-      sources.preExistingComment = mapComment[1] || mapComment[2];
-      mapFile = path.resolve(path.dirname(file.path), sources.preExistingComment);
-      sources.content = convert.removeMapFileComments(sources.content);
+    if (trailingComment && !dataUrlRegex.test(trailingComment.url)) {
+      sources.preExistingComment = trailingComment.url;
+      mapFile = _resolve(_dirname(sources.filePath), sources.preExistingComment);
+      sources.content = sources.content.slice(0, trailingComment.index);
       // if no comment try map file with same name as source file
     } else {
-      mapFile = file.path + '.map';
+      mapFile = sources.filePath + '.map';
     }
 
     // sources in external map are relative to map file
-    sources.path = path.dirname(mapFile);
+    sources.path = _dirname(mapFile);
 
-    try {
-      sources.map = JSON.parse(stripBom(fs.readFileSync(mapFile, 'utf8')));
-    } catch (e) {
-      debug(function() {
-        return 'warn: external source map not found or invalid: ' + mapFile + ' ' + exceptionToString(e);
-      });
-    }
+    _read(mapFile, function(content) {
+      try {
+        sources.map = JSON.parse(content);
+      } catch (e) {
+        sources.map = null;
+      }
+      if (!sources.map) {
+        debug(function() {
+          return 'warn: external source map not found or invalid: ' + mapFile;
+        });
+      }
+      callback();
+    });
+  }
+
+  // the paths of the files the maps depend on, null if they cannot be cached
+  function getDependencies() {
+    return dependencies;
   }
 
   return {
     loadMaps: loadMaps,
+    getDependencies: getDependencies,
   };
 };
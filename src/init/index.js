@@ -3,10 +3,15 @@ var utils = require('../utils');
 var unixStylePath = utils.unixStylePath;
 var through = require('through2');
 var path = require('path');
-var acorn = require('acorn');
-var SourceMapGenerator = require('source-map').SourceMapGenerator;
-var css = require('css');
 var initInternals = require('./index.internals');
+var identityMap = require('./identity-map');
+var createReader = require('../reader');
+var createWorkerPool = require('../worker-pool');
+var createOrderedQueue = require('../ordered-queue');
+
+function contentString(content) {
+  return Buffer.isBuffer(content) ? content.toString() : content;
+}
 
 /**
  * Initialize source mapping chain
@@ -14,105 +19,136 @@ var initInternals = require('./index.internals');
 function init(options) {
   var debug = require('../debug').spawn('init');
 
+  if (options === undefined) {
+    options = {};
+  }
+  debug(function() {
+    return options;
+  });
+
+  // shared by all files of this stream
+  var reader = createReader(options.concurrency, options.cache);
+  var pool = options.workers ? createWorkerPool(options.workers) : null;
+  // with workers several files are initialized at the same time
+  var queue = createOrderedQueue(pool ? pool.size * 2 : 1);
+
   function sourceMapInit(file, encoding, callback) {
+    queue.add(this, function(push, done) {
+      initFile(file, push, done);
+    }, callback);
+  }
+
+  function initFile(file, push, callback) {
     // pass through if file is null or already has a source map
     if (file.isNull() || file.sourceMap) {
-      this.push(file);
+      push(file);
       return callback();
     }
 
+    function done(err) {
+      if (err) {
+        return callback(err);
+      }
+      push(file);
+      callback();
+    }
+
     if (file.isStream()) {
-      return callback(new Error(utils.PLUGIN_NAME + '-init: Streaming not supported'));
+      debug(function() { return 'buffering stream contents'; });
+      return utils.bufferStream(file.contents, function(err, contents) {
+        if (err) {
+          return callback(new Error(utils.PLUGIN_NAME + '-init: ' + utils.exceptionToString(err)));
+        }
+        file.contents = contents;
+        addSourceMap(file, function(err) {
+          file.contents = utils.streamBuffer(file.contents);
+          done(err);
+        });
+      });
+    }
+
+    addSourceMap(file, done);
+  }
+
+  function addSourceMap(file, callback) {
+    // large files stay a Buffer, they are only converted to a string if the content is part of the source map
+    var fileContent = options.largeFile ? file.contents : file.contents.toString();
+    var internals = initInternals(options, file, fileContent, reader);
+    // the cache keeps the content as a string, which large files avoid
+    var cache = options.largeFile ? null : options.cache;
+
+    if (!options.loadMaps) {
+      return setSourceMap(file, fileContent, null, null, callback);
+    }
+
+    function loadMaps() {
+      internals.loadMaps(function(err, result) {
+        if (err) {
+          return callback(err);
+        }
+        if (cache) {
+          cache.setMap(file, fileContent, options, internals.getDependencies(), result);
+        }
+        setSourceMap(file, result.content, result.map, result.preExistingComment, callback);
+      });
     }
 
-    if (options === undefined) {
-      options = {};
+    if (!cache) {
+      return loadMaps();
     }
+
+    cache.getMap(file, fileContent, options, function(result) {
+      if (!result) {
+        return loadMaps();
+      }
+      debug(function() { return 'cached source map of ' + file.relative; });
+      if (result.map) {
+        // remove source map comment from source
+        file.contents = new Buffer(result.content, 'utf8');
+      }
+      setSourceMap(file, result.content, result.map, result.preExistingComment, callback);
+    });
+  }
+
+  function setSourceMap(file, fileContent, sourceMap, preExistingComment, callback) {
+    if (sourceMap || !options.identityMap) {
+      attachSourceMap(file, fileContent, sourceMap, preExistingComment);
+      return callback();
+    }
+
+    debug(function() { return '**identityMap option is deprecated, update to use sourcemap.identityMap stream**'; });
     debug(function() {
-      return options;
+      return 'identityMap';
+    });
+    fileContent = contentString(fileContent);
+    generateIdentityMap(file, fileContent, function(err, identity) {
+      if (err) {
+        return callback(new Error(utils.PLUGIN_NAME + '-init: ' + file.relative + ': ' + utils.exceptionToString(err)));
+      }
+      attachSourceMap(file, fileContent, identity);
+      callback();
     });
+  }
 
-    var fileContent = file.contents.toString();
-    var sourceMap, preExistingComment;
-    var internals = initInternals(options, file, fileContent);
+  // in a worker if possible, generators registered by users run in the main thread
+  function generateIdentityMap(file, fileContent, callback) {
+    var extension = path.extname(file.path);
+    var source = unixStylePath(file.relative);
 
-    if (options.loadMaps) {
-      var result = internals.loadMaps();
-      sourceMap = result.map;
-      fileContent = result.content;
-      preExistingComment = result.preExistingComment;
+    if (pool && identityMap.isBuiltIn(extension)) {
+      return pool.run('identityMap', [extension, source, fileContent], callback);
     }
 
-    if (!sourceMap && options.identityMap) {
-      debug(function() { return '**identityMap option is deprecated, update to use sourcemap.identityMap stream**'; });
-      debug(function() {
-        return 'identityMap';
-      });
-      var fileType = path.extname(file.path);
-      var source = unixStylePath(file.relative);
-      var generator = new SourceMapGenerator({ file: source });
-
-      if (fileType === '.js') {
-        var tokenizer = acorn.tokenizer(fileContent, { locations: true });
-        while (true) {
-          var token = tokenizer.getToken();
-          if (token.type.label === 'eof') {
-            break;
-          }
-          var mapping = {
-            original: token.loc.start,
-            generated: token.loc.start,
-            source: source,
-          };
-          if (token.type.label === 'name') {
-            mapping.name = token.value;
-          }
-          generator.addMapping(mapping);
-        }
-        generator.setSourceContent(source, fileContent);
-        sourceMap = generator.toJSON();
-      } else if (fileType === '.css') {
-        debug('css');
-        var ast = css.parse(fileContent, { silent: true });
-        debug(function() {
-          return ast;
-        });
-        var registerTokens = function(ast) {
-          if (ast.position) {
-            generator.addMapping({ original: ast.position.start, generated: ast.position.start, source: source });
-          }
-
-          function logAst(key, ast) {
-            debug(function() {
-              return 'key: ' + key;
-            });
-            debug(function() {
-              return ast[key];
-            });
-          }
-
-          for (var key in ast) {
-            logAst(key, ast);
-            if (key !== 'position') {
-              if (Object.prototype.toString.call(ast[key]) === '[object Object]') {
-                registerTokens(ast[key]);
-              } else if (Array.isArray(ast[key])) {
-                debug(function() {
-                  return '@@@@ ast[key] isArray @@@@';
-                });
-                for (var i = 0; i < ast[key].length; i++) {
-                  registerTokens(ast[key][i]);
-                }
-              }
-            }
-          }
-        };
-        registerTokens(ast);
-        generator.setSourceContent(source, fileContent);
-        sourceMap = generator.toJSON();
-      }
+    var sourceMap;
+    try {
+      sourceMap = identityMap.generate(extension, source, fileContent);
+    } catch (e) {
+      return callback(e);
     }
+    callback(null, sourceMap);
+  }
 
+  function attachSourceMap(file, fileContent, sourceMap, preExistingComment) {
     if (!sourceMap) {
       // Make an empty source map
       sourceMap = {
@@ -120,7 +156,7 @@ function init(options) {
         names: [],
         mappings: '',
         sources: [unixStylePath(file.relative)],
-        sourcesContent: [fileContent],
+        sourcesContent: [contentString(fileContent)],
       };
     } else if (preExistingComment !== null && typeof preExistingComment !== 'undefined') {
       sourceMap.preExistingComment = preExistingComment;
@@ -128,12 +164,21 @@ function init(options) {
 
     sourceMap.file = unixStylePath(file.relative);
     file.sourceMap = sourceMap;
+  }
 
-    this.push(file);
-    callback();
+  function sourceMapFlush(callback) {
+    queue.flush(function(err) {
+      if (pool) {
+        pool.close();
+      }
+      if (err || !options.cache) {
+        return callback(err);
+      }
+      options.cache.save(callback);
+    });
   }
 
-  return through.obj(sourceMapInit);
+  return through.obj(sourceMapInit, sourceMapFlush);
 }
 
 module.exports = init;
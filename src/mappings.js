@@ -0,0 +1,105 @@
+'use strict';
+
+/*
+Decoding and encoding of the `mappings` field of a source map.
+
+Decoded mappings are an array of generated lines, each an array of segments.
+A segment is an array of absolute (not delta encoded) values:
+[generatedColumn] or [generatedColumn, sourceIndex, originalLine, originalColumn]
+or [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex].
+Lines and columns are 0-based.
+*/
+
+var BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+var VLQ_BASE_SHIFT = 5;
+var VLQ_BASE = 1 << VLQ_BASE_SHIFT;
+var VLQ_BASE_MASK = VLQ_BASE - 1;
+var VLQ_CONTINUATION_BIT = VLQ_BASE;
+
+var charToInt = {};
+BASE64_CHARS.split('').forEach(function(char, i) {
+  charToInt[char] = i;
+});
+
+function decodeSegment(segment) {
+  var values = [];
+  var value = 0;
+  var shift = 0;
+
+  for (var i = 0; i < segment.length; i++) {
+    var digit = charToInt[segment[i]];
+    if (digit === undefined) {
+      throw new Error('Invalid character "' + segment[i] + '" in mappings');
+    }
+    value += (digit & VLQ_BASE_MASK) << shift;
+    if (digit & VLQ_CONTINUATION_BIT) {
+      shift += VLQ_BASE_SHIFT;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  if (shift) {
+    throw new Error('Unterminated segment "' + segment + '" in mappings');
+  }
+  if (values.length !== 1 && values.length !== 4 && values.length !== 5) {
+    throw new Error('Invalid segment "' + segment + '" in mappings, it has ' + values.length + ' fields');
+  }
+  return values;
+}
+
+function decode(mappings) {
+  var previous = [0, 0, 0, 0, 0];
+
+  return (mappings || '').split(';').map(function(line) {
+    previous[0] = 0;
+
+    return line.split(',').filter(Boolean).map(function(segment) {
+      var values = decodeSegment(segment);
+      return values.map(function(value, i) {
+        previous[i] += value;
+        return previous[i];
+      });
+    });
+  });
+}
+
+function encodeValue(value) {
+  var encoded = '';
+  var vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+
+  do {
+    var digit = vlq & VLQ_BASE_MASK;
+    vlq >>>= VLQ_BASE_SHIFT;
+    if (vlq > 0) {
+      digit |= VLQ_CONTINUATION_BIT;
+    }
+    encoded += BASE64_CHARS[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+function encode(lines) {
+  var previous = [0, 0, 0, 0, 0];
+
+  return lines.map(function(segments) {
+    previous[0] = 0;
+
+    return segments.map(function(segment) {
+      return segment.map(function(value, i) {
+        var encoded = encodeValue(value - previous[i]);
+        previous[i] = value;
+        return encoded;
+      }).join('');
+    }).join(',');
+  }).join(';');
+}
+
+module.exports = {
+  decode: decode,
+  encode: encode,
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+var mappings = require('./mappings');
+
+// the fields of the spec (and the established extensions) in the order they are written
+var SPEC_FIELDS = [
+  'version',
+  'file',
+  'sourceRoot',
+  'sources',
+  'sourcesContent',
+  'names',
+  'mappings',
+  'ignoreList',
+  'x_google_ignoreList',
+  'debugId',
+];
+
+function sortSegments(segments) {
+  // Array#sort is not stable in all supported node versions
+  return segments.map(function(segment, i) {
+    return { segment: segment, index: i };
+  }).sort(function(a, b) {
+    return a.segment[0] - b.segment[0] || a.index - b.index;
+  }).map(function(item) {
+    return item.segment;
+  });
+}
+
+// new indexes for the values used, in the order of their first use, equal values share an index
+function createIndex(values) {
+  var used = [];
+  var byValue = {};
+
+  function add(index) {
+    var key = JSON.stringify(values[index]);
+    if (!Object.prototype.hasOwnProperty.call(byValue, key)) {
+      byValue[key] = used.push(index) - 1;
+    }
+    return byValue[key];
+  }
+
+  return {
+    used: used,
+    add: add,
+  };
+}
+
+/*
+The `sources`, `sourcesContent`, `names`, `mappings` and ignore lists of a
+source map with only the sources and names used by the mappings, in the order
+of their first use, and the segments of every line sorted by column. The
+result only depends on the mappings, not on the order of the upstream plugins.
+*/
+function compact(sourceMap) {
+  var sources = createIndex(sourceMap.sources || []);
+  var names = createIndex(sourceMap.names || []);
+
+  var lines = mappings.decode(sourceMap.mappings).map(function(segments) {
+    return sortSegments(segments).map(function(segment) {
+      var compacted = [segment[0]];
+      if (segment.length > 1) {
+        compacted.push(sources.add(segment[1]), segment[2], segment[3]);
+      }
+      if (segment.length > 4) {
+        compacted.push(names.add(segment[4]));
+      }
+      return compacted;
+    });
+  });
+  while (lines.length && !lines[lines.length - 1].length) {
+    lines.pop();
+  }
+
+  var result = {
+    sources: sources.used.map(function(index) {
+      return sourceMap.sources[index];
+    }),
+    names: names.used.map(function(index) {
+      return sourceMap.names[index];
+    }),
+    mappings: mappings.encode(lines),
+  };
+
+  if (sourceMap.sourcesContent) {
+    result.sourcesContent = result.sources.map(function(source) {
+      // the first content of duplicated sources
+      var content = null;
+      sourceMap.sources.forEach(function(other, i) {
+        if (content === null && other === source && typeof sourceMap.sourcesContent[i] === 'string') {
+          content = sourceMap.sourcesContent[i];
+        }
+      });
+      return content;
+    });
+  }
+
+  ['ignoreList', 'x_google_ignoreList'].forEach(function(field) {
+    if (!sourceMap[field]) {
+      return;
+    }
+    var ignored = sourceMap[field].map(function(index) {
+      return sourceMap.sources[index];
+    });
+    var ignoreList = [];
+    result.sources.forEach(function(source, i) {
+      if (ignored.indexOf(source) !== -1) {
+        ignoreList.push(i);
+      }
+    });
+    result[field] = ignoreList.length ? ignoreList : undefined;
+  });
+
+  return result;
+}
+
+// a copy of the source map with the fields of the spec only, in a fixed order
+function specFields(sourceMap) {
+  var result = {};
+  SPEC_FIELDS.forEach(function(field) {
+    if (sourceMap[field] !== undefined) {
+      result[field] = sourceMap[field];
+    }
+  });
+  return result;
+}
+
+// a copy of the source map with the fields of the spec first, in a fixed order
+function specOrder(sourceMap) {
+  var result = specFields(sourceMap);
+  Object.keys(sourceMap).forEach(function(field) {
+    if (SPEC_FIELDS.indexOf(field) === -1) {
+      result[field] = sourceMap[field];
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  compact: compact,
+  specFields: specFields,
+  specOrder: specOrder,
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/*
+Create a queue for the transform of a stream which processes up to `limit`
+files at the same time and still pushes them in their original order.
+
+`add` starts `process(push, done)` for a file: the files it pushes are held
+back until the files added before are pushed. The callback of the transform is
+called as soon as there is room for the next file. With a limit of 1 every
+file is pushed before the next one is processed, like a plain transform.
+*/
+function createOrderedQueue(limit) {
+  var pending = [];
+  var waiting = null;
+  var flushed = null;
+  var failed = null;
+
+  limit = limit > 0 ? limit : 1;
+
+  function drain(stream) {
+    while (pending.length && pending[0].done) {
+      var entry = pending.shift();
+      failed = failed || entry.err;
+      if (!failed) {
+        entry.files.forEach(function(file) {
+          stream.push(file);
+        });
+      }
+    }
+
+    var callback;
+    if (waiting && (failed || pending.length < limit)) {
+      callback = waiting;
+      waiting = null;
+      callback(failed);
+    }
+    if (flushed && (failed || !pending.length)) {
+      callback = flushed;
+      flushed = null;
+      callback(failed);
+    }
+  }
+
+  function add(stream, process, callback) {
+    if (failed) {
+      return callback(failed);
+    }
+
+    var entry = { files: [], done: false, err: null };
+    pending.push(entry);
+    waiting = callback;
+
+    process(function push(file) {
+      entry.files.push(file);
+    }, function done(err) {
+      entry.done = true;
+      entry.err = err || null;
+      drain(stream);
+    });
+
+    if (waiting && pending.length < limit) {
+      waiting = null;
+      callback();
+    }
+  }
+
+  // calls back when all files are pushed, or with the first error
+  function flush(callback) {
+    if (failed || !pending.length) {
+      return callback(failed);
+    }
+    flushed = callback;
+  }
+
+  return {
+    add: add,
+    flush: flush,
+  };
+}
+
+module.exports = createOrderedQueue;
@@ -0,0 +1,75 @@
+'use strict';
+
+var fs = require('graceful-fs');
+var stripBom = require('strip-bom-string');
+
+var DEFAULT_CONCURRENCY = 16;
+
+/*
+Create a reader for one run of init or write.
+
+Files are read asynchronously, with at most `concurrency` reads at a time.
+Every file is read once per reader: requests for a file which is already
+being read or has been read share its result, so a source used by many
+bundles is only read once. With a `fileCache` (see cache.js) the files unchanged
+since an earlier run are not read again.
+*/
+function createReader(concurrency, fileCache) {
+  var cache = {};
+  var queue = [];
+  var active = 0;
+
+  concurrency = concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+
+  function readFile(filePath, callback) {
+    fs.readFile(filePath, 'utf8', callback);
+  }
+
+  function start(filePath) {
+    active++;
+    (fileCache ? fileCache.readFile : readFile)(filePath, function(err, content) {
+      active--;
+
+      var entry = cache[filePath];
+      var callbacks = entry.callbacks;
+      entry.err = err || null;
+      entry.content = err ? null : stripBom(content);
+      entry.callbacks = null;
+
+      callbacks.forEach(function(callback) {
+        callback(entry.err, entry.content);
+      });
+      next();
+    });
+  }
+
+  function next() {
+    while (active < concurrency && queue.length) {
+      start(queue.shift());
+    }
+  }
+
+  /*
+  Calls back with an error or the content of the file (without BOM).
+  */
+  function read(filePath, callback) {
+    var entry = cache[filePath];
+
+    if (entry && !entry.callbacks) {
+      return process.nextTick(callback, entry.err, entry.content);
+    }
+    if (entry) {
+      return entry.callbacks.push(callback);
+    }
+
+    cache[filePath] = { callbacks: [callback] };
+    queue.push(filePath);
+    next();
+  }
+
+  return {
+    read: read,
+  };
+}
+
+module.exports = createReader;
@@ -0,0 +1,222 @@
+'use strict';
+var utils = require('../utils');
+var through = require('through2');
+var path = require('path');
+var File = require('vinyl');
+var mappings = require('../mappings');
+var unixStylePath = utils.unixStylePath;
+var escapeHtml = utils.escapeHtml;
+
+function ratio(part, total) {
+  return total ? Math.round(part / total * 10000) / 10000 : 1;
+}
+
+// sources by the bytes they contribute, the largest first
+function sortedSources(sources) {
+  var sorted = {};
+  Object.keys(sources).sort(function(a, b) {
+    return sources[b] - sources[a] || (a < b ? -1 : 1);
+  }).forEach(function(source) {
+    sorted[source] = sources[source];
+  });
+  return sorted;
+}
+
+/*
+Statistics of a source map for the generated `content`. A mapping covers the
+generated columns up to the next mapping on its line, mappings without a
+source (or with an invalid one) do not count as mapped.
+*/
+function analyze(sourceMap, content) {
+  var sources = sourceMap.sources || [];
+  var sourcesContent = sourceMap.sourcesContent || [];
+  var lines = content.split(/\r\n?|\n/);
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  var stats = {
+    lines: lines.length,
+    mappedLines: 0,
+    columns: 0,
+    mappedColumns: 0,
+    sources: {},
+    missingSourcesContent: sources.filter(function(source, i) {
+      return typeof sourcesContent[i] !== 'string';
+    }),
+  };
+  sources.forEach(function(source) {
+    stats.sources[source] = 0;
+  });
+
+  var decoded = mappings.decode(sourceMap.mappings);
+  lines.forEach(function(text, i) {
+    var segments = (decoded[i] || []).slice().sort(function(a, b) {
+      return a[0] - b[0];
+    });
+    var mapped = false;
+
+    stats.columns += text.length;
+    segments.forEach(function(segment, j) {
+      var source = segment.length > 1 ? sources[segment[1]] : undefined;
+      if (source === undefined) {
+        return;
+      }
+      var end = j + 1 < segments.length ? segments[j + 1][0] : text.length;
+      var covered = text.slice(segment[0], end);
+      mapped = mapped || covered.length > 0;
+      stats.mappedColumns += covered.length;
+      stats.sources[source] += Buffer.byteLength(covered);
+    });
+
+    if (mapped) {
+      stats.mappedLines++;
+    }
+  });
+
+  stats.coverage = ratio(stats.mappedColumns, stats.columns);
+  stats.sources = sortedSources(stats.sources);
+  return stats;
+}
+
+function formatHtml(report) {
+  function percent(value) {
+    return (value * 100).toFixed(1) + '%';
+  }
+
+  function row(cells) {
+    return '    <tr>' + cells.map(function(cell) {
+      return '<td>' + escapeHtml(cell) + '</td>';
+    }).join('') + '</tr>\n';
+  }
+
+  var html = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>Source map report</title>\n</head>\n<body>\n';
+
+  html += '<h1>Source map report</h1>\n';
+  html += '<p>' + report.totals.files + ' files, ' + percent(report.totals.coverage) + ' of the generated columns mapped.</p>\n';
+
+  html += '<h2>Files</h2>\n<table>\n';
+  html += '    <tr><th>File</th><th>Mapped lines</th><th>Mapped columns</th><th>Coverage</th><th>Missing sourcesContent</th></tr>\n';
+  report.files.forEach(function(stats) {
+    if (stats.error) {
+      html += row([stats.file, stats.error, '', '', '']);
+      return;
+    }
+    html += row([
+      stats.file,
+      stats.mappedLines + ' / ' + stats.lines,
+      stats.mappedColumns + ' / ' + stats.columns,
+      percent(stats.coverage),
+      stats.missingSourcesContent.join(', '),
+    ]);
+  });
+  html += '</table>\n';
+
+  html += '<h2>Sources</h2>\n<table>\n';
+  html += '    <tr><th>Source</th><th>Generated bytes</th></tr>\n';
+  Object.keys(report.totals.sources).forEach(function(source) {
+    html += row([source, report.totals.sources[source]]);
+  });
+  html += '</table>\n';
+
+  return html + '</body>\n</html>\n';
+}
+
+/**
+ * Report the coverage of the source maps and the composition of the files
+ *
+ * @param options options like the path of the report
+ *
+ */
+function report(options) {
+  var debug = require('../debug').spawn('report');
+
+  options = options || {};
+
+  // set defaults for options if unset
+  if (options.path === undefined) {
+    options.path = 'sourcemaps-report.json';
+  }
+
+  var output = {};
+  var files = [];
+
+  function addFile(file) {
+    var stats;
+    try {
+      stats = analyze(file.sourceMap, file.contents.toString());
+    } catch (e) {
+      debug(function() { return 'warn: unable to analyze the source map of ' + file.relative + ': ' + utils.exceptionToString(e); });
+      stats = { error: utils.exceptionToString(e) };
+    }
+    stats.file = unixStylePath(file.relative);
+    files.push(stats);
+
+    output.cwd = output.cwd || file.cwd;
+    output.base = output.base || file.base;
+  }
+
+  function sourceMapReport(file, encoding, callback) {
+    if (file.isNull() || !file.sourceMap) {
+      this.push(file);
+      return callback();
+    }
+
+    var stream = this;
+
+    if (file.isStream()) {
+      return utils.bufferStream(file.contents, function(err, contents) {
+        if (err) {
+          return callback(new Error(utils.PLUGIN_NAME + '-report: ' + utils.exceptionToString(err)));
+        }
+        file.contents = contents;
+        addFile(file);
+        file.contents = utils.streamBuffer(file.contents);
+        stream.push(file);
+        callback();
+      });
+    }
+
+    addFile(file);
+    this.push(file);
+    callback();
+  }
+
+  function sourceMapFlush(callback) {
+    if (!output.base) {
+      return callback();
+    }
+
+    var totals = { files: files.length, lines: 0, mappedLines: 0, columns: 0, mappedColumns: 0, sources: {} };
+    files.sort(function(a, b) {
+      return a.file < b.file ? -1 : 1;
+    }).forEach(function(stats) {
+      ['lines', 'mappedLines', 'columns', 'mappedColumns'].forEach(function(key) {
+        totals[key] += stats[key] || 0;
+      });
+      Object.keys(stats.sources || {}).forEach(function(source) {
+        totals.sources[source] = (totals.sources[source] || 0) + stats.sources[source];
+      });
+    });
+    totals.coverage = ratio(totals.mappedColumns, totals.columns);
+    totals.sources = sortedSources(totals.sources);
+
+    var result = { totals: totals, files: files };
+    var contents = path.extname(options.path) === '.html' ?
+      formatHtml(result) :
+      JSON.stringify(result, null, 2) + '\n';
+
+    debug(function() { return 'report ' + options.path; });
+    this.push(new File({
+      cwd: output.cwd,
+      base: output.base,
+      path: path.join(output.base, options.path),
+      contents: new Buffer(contents),
+    }));
+    callback();
+  }
+
+  return through.obj(sourceMapReport, sourceMapFlush);
+}
+
+module.exports = report;
@@ -0,0 +1,230 @@
+'use strict';
+var utils = require('../utils');
+var path = require('path');
+var url = require('url');
+var SourceMapConsumer = require('source-map').SourceMapConsumer;
+var createReader = require('../reader');
+
+// `    at name (location:line:column)` or `    at location:line:column` of V8
+var V8_FRAME = /^(\s*at )(?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+// `name@location:line:column` of Firefox and Safari
+var AT_FRAME = /^(\s*)([^@\s]*)@(.+?):(\d+):(\d+)$/;
+
+function parseFrame(line) {
+  var match = V8_FRAME.exec(line);
+  var format = 'v8';
+  if (!match) {
+    match = AT_FRAME.exec(line);
+    format = 'at';
+  }
+  if (!match) {
+    return null;
+  }
+  return {
+    format: format,
+    prefix: match[1],
+    name: match[2] || null,
+    location: match[3],
+    line: Number(match[4]),
+    column: Number(match[5]),
+  };
+}
+
+function formatFrame(frame, original) {
+  var name = original.name || frame.name;
+  var location = original.source + ':' + original.line + ':' + (original.column + 1);
+  if (frame.format === 'at') {
+    return frame.prefix + (name || '') + '@' + location;
+  }
+  return frame.prefix + (name ? name + ' (' + location + ')' : location);
+}
+
+// the local path of a location in a stack trace, URLs are taken relative to `dir`
+function localPath(location, dir) {
+  if (/^file:\/\//.test(location)) {
+    return decodeURIComponent(url.parse(location).pathname);
+  }
+  if (/^[a-z][a-z0-9+.-]+:\/\//i.test(location)) {
+    return path.join(dir, decodeURIComponent(url.parse(location).pathname || '/'));
+  }
+  return path.resolve(dir, location);
+}
+
+/**
+ * Map the frames of a stack trace of generated code to the original sources
+ *
+ * @param stackTrace the stack trace, as a string
+ * @param options where to find the generated files, their maps and the manifest of write
+ * @param callback called with an error or `{ stack, frames }`
+ *
+ */
+function symbolicate(stackTrace, options, callback) {
+  var debug = require('../debug').spawn('symbolicate');
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  var dir = path.resolve(options.dir || '.');
+  var reader = createReader(options.concurrency);
+  var manifest = null;
+
+  function readJson(filePath, cb) {
+    reader.read(filePath, function(err, content) {
+      if (err) {
+        return cb(null);
+      }
+      var json = null;
+      try {
+        json = JSON.parse(content);
+      } catch (e) {
+        debug(function() { return 'warn: invalid JSON ' + filePath; });
+      }
+      cb(json);
+    });
+  }
+
+  // the map referenced by the comment of the generated file, inline or external
+  function mapOfComment(filePath, cb) {
+    reader.read(filePath, function(err, content) {
+      var trailingComment = !err && utils.getTrailingComment(content);
+      if (!trailingComment) {
+        return cb(null);
+      }
+      if (utils.dataUrlRegex.test(trailingComment.url)) {
+        try {
+          return cb(utils.sourceMapFromDataUrl(trailingComment.url));
+        } catch (e) {
+          debug(function() { return 'warn: invalid inline map in ' + filePath; });
+          return cb(null);
+        }
+      }
+      readJson(localPath(trailingComment.url, path.dirname(filePath)), cb);
+    });
+  }
+
+  function manifestEntry(filePath) {
+    var relative = utils.unixStylePath(path.relative(dir, filePath));
+    var key = manifest && Object.keys(manifest).filter(function(key) {
+      return manifest[key].file === relative;
+    })[0];
+    return key ? manifest[key] : null;
+  }
+
+  // try the manifest, the comment of the generated file and the maps directory
+  function findMap(filePath, cb) {
+    var entry = manifestEntry(filePath);
+    var candidates = [];
+    if (entry && entry.map) {
+      candidates.push(path.resolve(dir, entry.map));
+    }
+    if (options.mapsDir) {
+      var relative = path.relative(dir, filePath);
+      candidates.push(path.resolve(options.mapsDir, relative + '.map'));
+      candidates.push(path.resolve(options.mapsDir, path.basename(filePath) + '.map'));
+    }
+    candidates.push(filePath + '.map');
+
+    mapOfComment(filePath, function(map) {
+      if (map) {
+        return cb(map);
+      }
+      (function next(i) {
+        if (i === candidates.length) {
+          return cb(null);
+        }
+        readJson(candidates[i], function(map) {
+          if (map) {
+            debug(function() { return 'map of ' + filePath + ': ' + candidates[i]; });
+            return cb(map);
+          }
+          next(i + 1);
+        });
+      })(0);
+    });
+  }
+
+  // the consumer of the map of every generated file, or the callbacks waiting for it
+  var maps = {};
+
+  function consumerOf(location, cb) {
+    var filePath = localPath(location, dir);
+    var entry = maps[filePath];
+    if (entry && entry.waiting) {
+      return entry.waiting.push(cb);
+    }
+    if (entry) {
+      return cb(entry.consumer);
+    }
+
+    entry = maps[filePath] = { consumer: null, waiting: [cb] };
+    findMap(filePath, function(map) {
+      try {
+        entry.consumer = map && new SourceMapConsumer(map);
+      } catch (e) {
+        debug(function() { return 'warn: invalid map of ' + filePath + ': ' + utils.exceptionToString(e); });
+      }
+      var waiting = entry.waiting;
+      entry.waiting = null;
+      waiting.forEach(function(waitingCb) {
+        waitingCb(entry.consumer);
+      });
+    });
+  }
+
+  function symbolicateLines() {
+    var lines = String(stackTrace).split(/\r?\n/);
+    var frames = [];
+
+    utils.forEachAsync(lines, function(line, i, next) {
+      var frame = parseFrame(line);
+      if (!frame) {
+        return next();
+      }
+      frames[i] = frame;
+      consumerOf(frame.location, function(consumer) {
+        var original = consumer && consumer.originalPositionFor({ line: frame.line, column: frame.column - 1 });
+        if (original && original.source !== null) {
+          frame.original = original;
+          lines[i] = formatFrame(frame, original);
+        } else {
+          frame.original = null;
+        }
+        next();
+      });
+    }, function() {
+      callback(null, {
+        stack: lines.join('\n'),
+        frames: frames.filter(Boolean).map(function(frame) {
+          return {
+            file: frame.location,
+            line: frame.line,
+            column: frame.column,
+            name: frame.name,
+            original: frame.original && {
+              source: frame.original.source,
+              line: frame.original.line,
+              column: frame.original.column + 1,
+              name: frame.original.name,
+            },
+          };
+        }),
+      });
+    });
+  }
+
+  if (!options.manifest) {
+    return symbolicateLines();
+  }
+  readJson(path.resolve(options.manifest), function(content) {
+    if (!content) {
+      return callback(new Error(utils.PLUGIN_NAME + '-symbolicate: Unable to read the manifest ' + options.manifest));
+    }
+    manifest = content;
+    symbolicateLines();
+  });
+}
+
+module.exports = symbolicate;
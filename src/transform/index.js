@@ -0,0 +1,86 @@
+'use strict';
+var utils = require('../utils');
+var through = require('through2');
+var apply = require('../apply');
+
+/**
+ * Transform the files and apply the source maps of the transformation
+ *
+ * @param fn called with the content and the file, returns the new content or `{ code, map }`, or a promise of either
+ *
+ */
+function transform(fn) {
+  var debug = require('../debug').spawn('transform');
+
+  if (typeof fn !== 'function') {
+    throw new Error(utils.PLUGIN_NAME + '-transform: The transform must be a function');
+  }
+
+  function fileError(file, err) {
+    return new Error(utils.PLUGIN_NAME + '-transform: ' + file.relative + ': ' + utils.exceptionToString(err));
+  }
+
+  function transformFile(file, callback) {
+    utils.callHook(fn, [file.contents.toString(), file], function(err, result) {
+      if (err) {
+        return callback(fileError(file, err));
+      }
+
+      var code = result;
+      var sourceMap = null;
+      if (result && typeof result === 'object' && !Buffer.isBuffer(result)) {
+        code = result.code;
+        sourceMap = result.map;
+      }
+      file.contents = Buffer.isBuffer(code) ? code : new Buffer(String(code));
+
+      if (sourceMap && file.sourceMap) {
+        debug(function() { return 'applying the source map of ' + file.relative; });
+        try {
+          apply(file, sourceMap);
+        } catch (e) {
+          return callback(e);
+        }
+      }
+      callback();
+    });
+  }
+
+  function sourceMapTransform(file, encoding, callback) {
+    if (file.isNull()) {
+      this.push(file);
+      return callback();
+    }
+
+    var stream = this;
+
+    function done(err) {
+      if (err) {
+        return callback(err);
+      }
+      stream.push(file);
+      callback();
+    }
+
+    if (file.isStream()) {
+      return utils.bufferStream(file.contents, function(err, contents) {
+        if (err) {
+          return done(fileError(file, err));
+        }
+        file.contents = contents;
+        transformFile(file, function(err) {
+          if (!err) {
+            file.contents = utils.streamBuffer(file.contents);
+          }
+          done(err);
+        });
+      });
+    }
+
+    transformFile(file, done);
+  }
+
+  return through.obj(sourceMapTransform);
+}
+
+module.exports = transform;
@@ -1,5 +1,6 @@
 'use strict';
 var path = require('path');
+var through = require('through2');
 var detectNewline = require('detect-newline');
 
 function unixStylePath(filePath) {
@@ -11,14 +12,69 @@ var PLUGIN_NAME = require('../package.json').name;
 var urlRegex = /^(https?|webpack(-[^:]+)?):\/\//;
 
 var debug = require('./debug').spawn('utils');
+
+var trailingCommentRegex = new RegExp('^[ \\t]*(?:' + [
+  '\\/\\/[#@][ \\t]+sourceMappingURL=(\\S+)',
+  '\\/\\*[#@][ \\t]+sourceMappingURL=([^\\s*]+)[ \\t]*\\*\\/',
+  '<!--[#@][ \\t]+sourceMappingURL=(\\S+?)[ \\t]*-->',
+].join('|') + ')[ \\t]*$');
+
 /*
-So reusing the same ref for a regex (with global (g)) is from a poor decision in js.
-See http://stackoverflow.com/questions/10229144/bug-with-regexp-in-javascript-when-do-global-search
+The sourceMappingURL comment of a file. Per the spec only the last line which
+is not blank counts, so URLs in string literals or in the middle of a bundle
+are ignored. Supports the `//#` and `/*#` forms, their legacy `@` variants and
+HTML comments. Returns { comment, url, index } where `index` is the start of
+the line of the comment, or null.
+*/
+function getTrailingComment(content) {
+  var end = content.length;
+  while (end > 0 && /\s/.test(content[end - 1])) {
+    end--;
+  }
+  var index = Math.max(content.lastIndexOf('\n', end - 1), content.lastIndexOf('\r', end - 1)) + 1;
+  var match = trailingCommentRegex.exec(content.slice(index, end));
+  if (!match) {
+    return null;
+  }
+  return {
+    comment: match[0].trim(),
+    url: match[1] || match[2] || match[3],
+    index: index,
+  };
+}
 
-So we either need to use a new instance of a regex everywhere.
+/*
+The sourceMappingURL comment at the end of a Buffer, like getTrailingComment,
+but only the last line is converted to a string. `index` is in bytes.
 */
-function sourceMapUrlRegEx() {
-  return /\/\/# sourceMappingURL=.*/g;
+function getTrailingCommentOfBuffer(buffer) {
+  var end = buffer.length;
+  // space, tab, line feed, vertical tab, form feed and carriage return
+  while (end > 0 && (buffer[end - 1] === 0x20 || (buffer[end - 1] >= 0x09 && buffer[end - 1] <= 0x0d))) {
+    end--;
+  }
+  var index = end && Math.max(buffer.lastIndexOf(0x0a, end - 1), buffer.lastIndexOf(0x0d, end - 1)) + 1;
+  var trailingComment = getTrailingComment(buffer.toString('utf8', index, end));
+  if (!trailingComment) {
+    return null;
+  }
+  trailingComment.index = index;
+  return trailingComment;
+}
+
+var dataUrlRegex = /^data:(?:application|text)\/json(?:;charset[:=][^;,]+)?(;base64)?,/;
+
+// the source map of an inline `data:` URL, throws if it is invalid
+function sourceMapFromDataUrl(dataUrl) {
+  var match = dataUrlRegex.exec(dataUrl);
+  if (!match) {
+    throw new Error('Not a source map data URL');
+  }
+  var data = dataUrl.slice(match[0].length);
+  if (match[1]) {
+    return JSON.parse(new Buffer(data, 'base64').toString());
+  }
+  return JSON.parse(decodeURIComponent(data));
 }
 
 var commentFormatters = {
@@ -28,25 +84,96 @@ var commentFormatters = {
   js: function jsCommentFormatter(preLine, newline, url) {
     return preLine + '//# sourceMappingURL=' + url + newline;
   },
+  html: function htmlCommentFormatter(preLine, newline, url) {
+    return preLine + '<!--# sourceMappingURL=' + url + ' -->' + newline;
+  },
   default: function defaultFormatter() {
     return '';
   },
 };
 
-function getCommentFormatter(file) {
+var extensionFormatters = {};
+var predicateFormatters = [];
+
+/*
+Register a comment formatter for file extensions (with or without the dot) or
+for the files a predicate on the vinyl file returns true for. The formatter is
+called with the text before the comment, the newline of the file and the URL.
+Predicates are tried before extensions, the last registered first. Returns a
+function which unregisters the formatter again.
+*/
+function registerCommentFormatter(test, formatter) {
+  if (typeof formatter !== 'function') {
+    throw new Error('A comment formatter must be a function');
+  }
+  if (typeof test === 'function') {
+    var entry = { test: test, formatter: formatter };
+    predicateFormatters.unshift(entry);
+    return function unregister() {
+      var index = predicateFormatters.indexOf(entry);
+      if (index !== -1) {
+        predicateFormatters.splice(index, 1);
+      }
+    };
+  }
+
+  // the formatters replaced, to restore them on unregister
+  var replaced = {};
+  [].concat(test).forEach(function(extension) {
+    extension = extension.replace(/^\./, '');
+    replaced[extension] = extensionFormatters[extension];
+    extensionFormatters[extension] = formatter;
+  });
+  return function unregister() {
+    Object.keys(replaced).forEach(function(extension) {
+      if (extensionFormatters[extension] !== formatter) {
+        return;
+      }
+      if (replaced[extension]) {
+        extensionFormatters[extension] = replaced[extension];
+      } else {
+        delete extensionFormatters[extension];
+      }
+    });
+  };
+}
+
+registerCommentFormatter(['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx'], commentFormatters.js);
+registerCommentFormatter(['css', 'scss', 'less'], commentFormatters.css);
+registerCommentFormatter(['html', 'htm', 'svg'], commentFormatters.html);
+
+function findCommentFormatter(file) {
+  for (var i = 0; i < predicateFormatters.length; i++) {
+    if (predicateFormatters[i].test(file)) {
+      return predicateFormatters[i].formatter;
+    }
+  }
+
   var extension = file.relative.split('.').pop();
+  if (Object.prototype.hasOwnProperty.call(extensionFormatters, extension)) {
+    return extensionFormatters[extension];
+  }
+  return commentFormatters.default;
+}
+
+/*
+The comment formatter of the file, bound to its newline. There is no newline
+before the comment if the content ends at the start of a line, which it does
+where init removed a comment or if `atLineStart` is true.
+*/
+function getCommentFormatter(file, atLineStart) {
   var fileContents = file.contents.toString();
   var newline = detectNewline.graceful(fileContents || '');
 
-  var commentFormatter = commentFormatters.default;
+  var commentFormatter = findCommentFormatter(file);
 
-  if (file.sourceMap.preExistingComment) {
-    commentFormatter = (commentFormatters[extension] || commentFormatter).bind(undefined, '', newline);
+  if (atLineStart || file.sourceMap.preExistingComment) {
+    commentFormatter = commentFormatter.bind(undefined, '', newline);
     debug(function() {
       return 'preExistingComment commentFormatter ' + commentFormatter.name;
     });
   } else {
-    commentFormatter = (commentFormatters[extension] || commentFormatter).bind(undefined, newline, newline);
+    commentFormatter = commentFormatter.bind(undefined, newline, newline);
   }
 
   debug(function() {
@@ -56,9 +183,10 @@ function getCommentFormatter(file) {
 }
 
 function getInlinePreExisting(fileContent) {
-  if (sourceMapUrlRegEx().test(fileContent)) {
+  var trailingComment = getTrailingComment(fileContent);
+  if (trailingComment) {
     debug(function() { return 'has preExisting'; });
-    return fileContent.match(sourceMapUrlRegEx())[0];
+    return trailingComment.comment;
   }
 }
 
@@ -66,12 +194,113 @@ function exceptionToString(exception) {
   return exception.message || '';
 }
 
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, function(char) {
+    return '&#' + char.charCodeAt(0) + ';';
+  });
+}
+
+/*
+Streaming vinyl files are buffered so init and write can inspect the whole
+content (the sourceMappingURL comment is always at the end of the file).
+*/
+function bufferStream(stream, callback) {
+  var chunks = [];
+  var done = false;
+
+  function finish(err) {
+    if (done) {
+      return;
+    }
+    done = true;
+    if (err) {
+      return callback(err);
+    }
+    callback(null, Buffer.concat(chunks));
+  }
+
+  stream.on('data', function(chunk) {
+    chunks.push(typeof chunk === 'string' ? new Buffer(chunk) : chunk);
+  });
+  stream.once('error', finish);
+  stream.once('end', function() {
+    finish();
+  });
+}
+
+/*
+User supplied hooks (like the `fetch` option of init) may either return their
+result or a promise of it.
+*/
+function callHook(hook, args, callback) {
+  var result;
+  try {
+    result = hook.apply(undefined, args);
+  } catch (e) {
+    return callback(e);
+  }
+
+  if (result && typeof result.then === 'function') {
+    // leave the promise chain, so exceptions in the callback are not swallowed
+    return result.then(function(value) {
+      process.nextTick(callback, null, value);
+    }, function(err) {
+      process.nextTick(callback, err || new Error('rejected'));
+    });
+  }
+  callback(null, result);
+}
+
+/*
+Call `iterator(item, index, done)` for all items at once, `callback` is
+called after all of them are done or with the first error.
+*/
+function forEachAsync(items, iterator, callback) {
+  var pending = items.length;
+  var failed = false;
+
+  if (!pending) {
+    return callback();
+  }
+
+  items.forEach(function(item, i) {
+    iterator(item, i, function(err) {
+      if (failed) {
+        return;
+      }
+      if (err) {
+        failed = true;
+        return callback(err);
+      }
+      pending--;
+      if (!pending) {
+        callback();
+      }
+    });
+  });
+}
+
+function streamBuffer(buffer) {
+  var stream = through();
+  stream.end(buffer);
+  return stream;
+}
+
 module.exports = {
   unixStylePath: unixStylePath,
   PLUGIN_NAME: PLUGIN_NAME,
   urlRegex: urlRegex,
-  sourceMapUrlRegEx: sourceMapUrlRegEx,
+  getTrailingComment: getTrailingComment,
+  getTrailingCommentOfBuffer: getTrailingCommentOfBuffer,
+  dataUrlRegex: dataUrlRegex,
+  sourceMapFromDataUrl: sourceMapFromDataUrl,
   getCommentFormatter: getCommentFormatter,
+  registerCommentFormatter: registerCommentFormatter,
   getInlinePreExisting: getInlinePreExisting,
   exceptionToString: exceptionToString,
+  escapeHtml: escapeHtml,
+  bufferStream: bufferStream,
+  streamBuffer: streamBuffer,
+  callHook: callHook,
+  forEachAsync: forEachAsync,
 };
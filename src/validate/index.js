@@ -0,0 +1,177 @@
+'use strict';
+var utils = require('../utils');
+var through = require('through2');
+var mappings = require('../mappings');
+
+var SEVERITIES = ['off', 'warn', 'error'];
+
+var DEFAULT_SEVERITY = {
+  mappings: 'error',
+  generated: 'error',
+  source: 'error',
+  name: 'error',
+  sourcesContent: 'warn',
+};
+
+function getSeverity(options) {
+  var severity = {};
+  Object.keys(DEFAULT_SEVERITY).forEach(function(rule) {
+    if (typeof options.severity === 'string') {
+      severity[rule] = options.severity;
+    } else {
+      severity[rule] = (options.severity && options.severity[rule]) || DEFAULT_SEVERITY[rule];
+    }
+    if (SEVERITIES.indexOf(severity[rule]) === -1) {
+      throw new Error(utils.PLUGIN_NAME + '-validate: Invalid severity "' + severity[rule] + '" for ' + rule);
+    }
+  });
+  return severity;
+}
+
+/*
+Check `sourceMap` against the generated `content`, returns a list of problems
+like { rule: 'source', message: '...', line: 1, column: 0 }, lines are 1-based.
+*/
+function check(sourceMap, content) {
+  var problems = [];
+  var sources = sourceMap.sources || [];
+  var names = sourceMap.names || [];
+  var lines = content.split(/\r\n?|\n/);
+
+  function report(rule, message, line, column) {
+    problems.push({ rule: rule, message: message, line: line, column: column });
+  }
+
+  if (sourceMap.sourcesContent && sourceMap.sourcesContent.length !== sources.length) {
+    report('sourcesContent', sourceMap.sourcesContent.length + ' sourcesContent for ' + sources.length + ' sources');
+  }
+
+  var decoded;
+  try {
+    decoded = mappings.decode(sourceMap.mappings);
+  } catch (e) {
+    report('mappings', utils.exceptionToString(e));
+    return problems;
+  }
+
+  decoded.forEach(function(segments, i) {
+    var line = i + 1;
+    if (segments.length && i >= lines.length) {
+      report('generated', 'mapping on line ' + line + ', the file has ' + lines.length + ' lines', line, segments[0][0]);
+      return;
+    }
+    segments.forEach(function(segment) {
+      var column = segment[0];
+      var position = ' at ' + line + ':' + column;
+      if (column < 0 || (i < lines.length && column > lines[i].length)) {
+        report('generated', 'mapping' + position + ' is out of bounds, the line has ' + lines[i].length + ' columns', line, column);
+      }
+      if (segment.length > 1 && (segment[1] < 0 || segment[1] >= sources.length)) {
+        report('source', 'mapping' + position + ' references source ' + segment[1] + ' of ' + sources.length, line, column);
+      }
+      if (segment.length > 1 && (segment[2] < 0 || segment[3] < 0)) {
+        report('source', 'mapping' + position + ' has a negative original position', line, column);
+      }
+      if (segment.length > 4 && (segment[4] < 0 || segment[4] >= names.length)) {
+        report('name', 'mapping' + position + ' references name ' + segment[4] + ' of ' + names.length, line, column);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Validate the source maps of the files
+ *
+ * @param options options to change the severity of problems and how they are reported
+ *
+ */
+function validate(options) {
+  var debug = require('../debug').spawn('validate');
+
+  options = options || {};
+  var severity = getSeverity(options);
+
+  /*
+  Without a reporter the warnings are emitted as `warning` events of the stream
+  with the file and its warnings, or as process warnings if nobody listens. The
+  errors are emitted as the error of the stream.
+  */
+  function report(stream, file, problems) {
+    if (typeof options.reporter === 'function') {
+      return options.reporter(file, problems);
+    }
+    problems.forEach(function(problem) {
+      debug(function() { return problem.severity + ': ' + file.relative + ': ' + problem.message; });
+    });
+
+    var warnings = problems.filter(function(problem) {
+      return problem.severity === 'warn';
+    });
+    if (!warnings.length) {
+      return;
+    }
+    if (stream.listenerCount('warning')) {
+      return stream.emit('warning', file, warnings);
+    }
+    warnings.forEach(function(problem) {
+      process.emitWarning(file.relative + ': ' + problem.message, utils.PLUGIN_NAME + '-validate');
+    });
+  }
+
+  function validateFile(stream, file) {
+    var problems = check(file.sourceMap, file.contents.toString())
+      .filter(function(problem) {
+        problem.severity = severity[problem.rule];
+        return problem.severity !== 'off';
+      });
+
+    if (problems.length) {
+      report(stream, file, problems);
+    }
+
+    var errors = problems.filter(function(problem) {
+      return problem.severity === 'error';
+    });
+    if (errors.length) {
+      var more = errors.length > 1 ? ' (and ' + (errors.length - 1) + ' more)' : '';
+      return new Error(utils.PLUGIN_NAME + '-validate: ' + file.relative + ': ' + errors[0].message + more);
+    }
+  }
+
+  function sourceMapValidate(file, encoding, callback) {
+    if (file.isNull() || !file.sourceMap) {
+      this.push(file);
+      return callback();
+    }
+
+    var stream = this;
+
+    function done(err) {
+      if (err) {
+        return callback(err);
+      }
+      stream.push(file);
+      callback();
+    }
+
+    if (file.isStream()) {
+      return utils.bufferStream(file.contents, function(err, contents) {
+        if (err) {
+          return callback(new Error(utils.PLUGIN_NAME + '-validate: ' + utils.exceptionToString(err)));
+        }
+        file.contents = contents;
+        var error = validateFile(stream, file);
+        file.contents = utils.streamBuffer(file.contents);
+        done(error);
+      });
+    }
+
+    done(validateFile(stream, file));
+  }
+
+  return through.obj(sourceMapValidate);
+}
+
+module.exports = validate;
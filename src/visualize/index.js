@@ -0,0 +1,213 @@
+'use strict';
+var utils = require('../utils');
+var through = require('through2');
+var File = require('vinyl');
+var mappings = require('../mappings');
+var unixStylePath = utils.unixStylePath;
+var escapeHtml = utils.escapeHtml;
+
+var STYLE = [
+  'body { margin: 0; font-family: sans-serif; }',
+  'header { padding: 8px 16px; border-bottom: 1px solid #ccc; }',
+  'h1 { margin: 0; font-size: 16px; }',
+  'h2 { margin: 0; padding: 4px 8px; font-size: 13px; background: #eee; }',
+  'main { display: flex; height: calc(100vh - 42px); }',
+  'section { flex: 1; overflow: auto; border-right: 1px solid #ccc; }',
+  'pre { margin: 0; padding: 4px 0; font-size: 12px; counter-reset: line; }',
+  '.l { display: block; white-space: pre; }',
+  '.l::before { counter-increment: line; content: counter(line); display: inline-block; width: 4em; margin-right: 8px;' +
+    ' color: #999; text-align: right; }',
+  '.m { background: #e0ecff; cursor: default; }',
+  '.m.o { background: #d0f0d8; }',
+  '.m.active { background: #ffd54f; outline: 1px solid #e0a000; }',
+  '.missing { padding: 4px 8px; color: #999; font-size: 12px; }',
+].join('\n');
+
+// highlights the segments of the mappings under the mouse on both sides
+var SCRIPT = [
+  '(function() {',
+  '  var byMapping = {};',
+  '  var active = [];',
+  '  Array.prototype.forEach.call(document.querySelectorAll("[data-m]"), function(span) {',
+  '    span.getAttribute("data-m").split(" ").forEach(function(id) {',
+  '      (byMapping[id] = byMapping[id] || []).push(span);',
+  '    });',
+  '  });',
+  '  document.addEventListener("mouseover", function(event) {',
+  '    var ids = event.target.getAttribute && event.target.getAttribute("data-m");',
+  '    active.forEach(function(span) { span.classList.remove("active"); });',
+  '    active = [];',
+  '    (ids ? ids.split(" ") : []).forEach(function(id) {',
+  '      byMapping[id].forEach(function(span) { span.classList.add("active"); active.push(span); });',
+  '    });',
+  '  });',
+  '})();',
+].join('\n');
+
+function splitLines(content) {
+  return content.split(/\r\n?|\n/);
+}
+
+/*
+The HTML of a line of code cut into spans at the columns of `cuts`. A span
+reaches up to the next cut, cuts without `ids` end the previous span only.
+*/
+function renderLine(text, cuts) {
+  var html = escapeHtml(text.slice(0, cuts.length ? cuts[0].column : text.length));
+  cuts.forEach(function(cut, i) {
+    var end = i + 1 < cuts.length ? cuts[i + 1].column : text.length;
+    var covered = escapeHtml(text.slice(cut.column, end));
+    if (!cut.ids) {
+      html += covered;
+      return;
+    }
+    html += '<span class="m' + (cut.odd ? ' o' : '') + '" data-m="' + cut.ids.join(' ') + '" title="' +
+      escapeHtml(cut.title) + '">' + covered + '</span>';
+  });
+  return '<span class="l">' + html + '</span>';
+}
+
+function renderCode(lines, cutsByLine) {
+  return '<pre>' + lines.map(function(text, i) {
+    return renderLine(text, cutsByLine[i] || []);
+  }).join('\n') + '</pre>';
+}
+
+/*
+A page with the generated content and the sources of its source map side by
+side. Every mapping is a span on both sides sharing an id, hovering one
+highlights the other.
+*/
+function visualizeFile(file, content) {
+  var sourceMap = file.sourceMap;
+  var sources = sourceMap.sources || [];
+  var sourcesContent = sourceMap.sourcesContent || [];
+  var names = sourceMap.names || [];
+
+  var generatedCuts = [];
+  // the cuts of every source by line, and the cut of an original position
+  var originalCuts = sources.map(function() {
+    return [];
+  });
+  var originalCutAt = {};
+  var id = 0;
+
+  mappings.decode(sourceMap.mappings).forEach(function(segments, line) {
+    generatedCuts[line] = segments.slice().sort(function(a, b) {
+      return a[0] - b[0];
+    }).map(function(segment) {
+      if (segment.length === 1 || sources[segment[1]] === undefined) {
+        return { column: segment[0] };
+      }
+
+      var mappingId = id++;
+      var source = segment[1];
+      var title = sources[source] + ':' + (segment[2] + 1) + ':' + (segment[3] + 1) +
+        (segment.length > 4 && names[segment[4]] !== undefined ? ' ' + names[segment[4]] : '');
+
+      var key = source + ':' + segment[2] + ':' + segment[3];
+      if (!originalCutAt[key]) {
+        originalCutAt[key] = { column: segment[3], ids: [], title: 'generated ', odd: mappingId % 2 === 1 };
+        (originalCuts[source][segment[2]] = originalCuts[source][segment[2]] || []).push(originalCutAt[key]);
+      }
+      originalCutAt[key].ids.push(mappingId);
+      originalCutAt[key].title += (originalCutAt[key].ids.length > 1 ? ', ' : '') + (line + 1) + ':' + (segment[0] + 1);
+
+      return { column: segment[0], ids: [mappingId], title: title, odd: mappingId % 2 === 1 };
+    });
+  });
+
+  var relative = unixStylePath(file.relative);
+  var html = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>' + escapeHtml(relative) + ' source map</title>\n';
+  html += '<style>\n' + STYLE + '\n</style>\n</head>\n<body>\n';
+  html += '<header><h1>' + escapeHtml(relative) + ': ' + id + ' mappings to ' + sources.length + ' sources</h1></header>\n<main>\n';
+
+  html += '<section>\n<h2>' + escapeHtml(relative) + '</h2>\n' + renderCode(splitLines(content), generatedCuts) + '\n</section>\n';
+
+  html += '<section>\n';
+  sources.forEach(function(source, i) {
+    html += '<h2>' + escapeHtml(source) + '</h2>\n';
+    if (typeof sourcesContent[i] !== 'string') {
+      html += '<p class="missing">No sourcesContent for this source</p>\n';
+      return;
+    }
+    originalCuts[i].forEach(function(cuts) {
+      if (cuts) {
+        cuts.sort(function(a, b) {
+          return a.column - b.column;
+        });
+      }
+    });
+    html += renderCode(splitLines(sourcesContent[i]), originalCuts[i]) + '\n';
+  });
+  html += '</section>\n';
+
+  return html + '</main>\n<script>\n' + SCRIPT + '\n</script>\n</body>\n</html>\n';
+}
+
+/**
+ * Add a page visualizing the source map of every file
+ *
+ * @param options options like the suffix of the pages
+ *
+ */
+function visualize(options) {
+  var debug = require('../debug').spawn('visualize');
+
+  options = options || {};
+
+  // set defaults for options if unset
+  if (options.suffix === undefined) {
+    options.suffix = '.sourcemap.html';
+  }
+
+  function pageOf(file) {
+    debug(function() { return 'visualize ' + file.relative; });
+    return new File({
+      cwd: file.cwd,
+      base: file.base,
+      path: file.path + options.suffix,
+      contents: new Buffer(visualizeFile(file, file.contents.toString())),
+    });
+  }
+
+  function sourceMapVisualize(file, encoding, callback) {
+    if (file.isNull() || !file.sourceMap) {
+      this.push(file);
+      return callback();
+    }
+
+    var stream = this;
+
+    function addPage(streamed) {
+      var page;
+      try {
+        page = pageOf(file);
+      } catch (e) {
+        return callback(new Error(utils.PLUGIN_NAME + '-visualize: ' + file.relative + ': ' + utils.exceptionToString(e)));
+      }
+      if (streamed) {
+        file.contents = utils.streamBuffer(file.contents);
+      }
+      stream.push(file);
+      stream.push(page);
+      callback();
+    }
+
+    if (file.isStream()) {
+      return utils.bufferStream(file.contents, function(err, contents) {
+        if (err) {
+          return callback(new Error(utils.PLUGIN_NAME + '-visualize: ' + utils.exceptionToString(err)));
+        }
+        file.contents = contents;
+        addPage(true);
+      });
+    }
+
+    addPage(false);
+  }
+
+  return through.obj(sourceMapVisualize);
+}
+
+module.exports = visualize;
@@ -0,0 +1,116 @@
+'use strict';
+
+var os = require('os');
+
+var workerThreads;
+try {
+  workerThreads = require('worker_threads');
+} catch (e) {
+  // node versions without worker threads run the tasks in the main thread
+  workerThreads = null;
+}
+
+// the work which can be moved to a worker, the arguments and results have to be cloneable
+var TASKS = {
+  identityMap: function(extension, source, content) {
+    return require('./init/identity-map').generate(extension, source, content);
+  },
+  base64: function(text) {
+    return new Buffer(text).toString('base64');
+  },
+};
+
+function runTask(task, args, callback) {
+  var result;
+  try {
+    result = TASKS[task].apply(undefined, args);
+  } catch (e) {
+    return callback(e);
+  }
+  callback(null, result);
+}
+
+/*
+Create a pool of `size` worker threads (`true` for one less than the number of
+CPUs) running the TASKS. The workers are started on demand and do not keep the
+process alive, `close` stops them. Without worker threads the tasks run in the
+main thread.
+*/
+function createWorkerPool(size) {
+  var debug = require('./debug').spawn('workerPool');
+
+  size = size === true ? Math.max(1, os.cpus().length - 1) : Math.max(1, Number(size) || 1);
+
+  var workers = [];
+  var idle = [];
+  var queue = [];
+
+  function finish(worker, err, result) {
+    var job = worker.job;
+    worker.job = null;
+    job.callback(err, result);
+  }
+
+  function spawn() {
+    var worker = new workerThreads.Worker(__filename, { workerData: { gulpSourcemapsWorker: true } });
+    worker.unref();
+    worker.on('message', function(message) {
+      idle.push(worker);
+      finish(worker, message.error ? new Error(message.error) : null, message.result);
+      next();
+    });
+    worker.on('error', function(err) {
+      debug(function() { return 'warn: worker failed: ' + err.message; });
+      workers.splice(workers.indexOf(worker), 1);
+      if (worker.job) {
+        finish(worker, err);
+      }
+      next();
+    });
+    workers.push(worker);
+    return worker;
+  }
+
+  function next() {
+    while (queue.length && (idle.length || workers.length < size)) {
+      var worker = idle.pop() || spawn();
+      worker.job = queue.shift();
+      worker.postMessage({ task: worker.job.task, args: worker.job.args });
+    }
+  }
+
+  /*
+  Calls back with an error or the result of the task.
+  */
+  function run(task, args, callback) {
+    if (!workerThreads) {
+      return process.nextTick(runTask, task, args, callback);
+    }
+    queue.push({ task: task, args: args, callback: callback });
+    next();
+  }
+
+  function close() {
+    workers.forEach(function(worker) {
+      worker.terminate();
+    });
+    workers = [];
+    idle = [];
+  }
+
+  return {
+    size: size,
+    run: run,
+    close: close,
+  };
+}
+
+if (workerThreads && !workerThreads.isMainThread && workerThreads.workerData && workerThreads.workerData.gulpSourcemapsWorker) {
+  workerThreads.parentPort.on('message', function(message) {
+    runTask(message.task, message.args, function(err, result) {
+      workerThreads.parentPort.postMessage(err ? { error: err.message || String(err) } : { result: result });
+    });
+  });
+}
+
+module.exports = createWorkerPool;
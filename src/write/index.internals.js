@@ -1,14 +1,102 @@
 'use strict';
 
-module.exports = function(destPath, options) {
+module.exports = function(destPath, options, pool) {
 
   var utils = require('../utils');
   var unixStylePath = utils.unixStylePath;
-  var fs = require('graceful-fs');
   var path = require('path');
-  var stripBom = require('strip-bom-string');
+  var crypto = require('crypto');
+  var detectNewline = require('detect-newline');
+  var File = require('vinyl');
+  var minimatch = require('minimatch');
+  var minify = require('../minify');
+  var createReader = require('../reader');
   var rootDebug = require('../debug').spawn('write:internals');
 
+  // shared by all files of this stream
+  var reader = createReader(options.concurrency, options.cache);
+
+  // cwd and base of the files written at the end of the stream
+  var output = {
+    cwd: null,
+    base: null,
+  };
+
+  // generated files and their maps, written at the end of the stream
+  var manifest = null;
+  if (options.manifest) {
+    manifest = {
+      path: typeof options.manifest === 'string' ?
+        options.manifest :
+        path.join(destPath || '', 'sourcemaps-manifest.json'),
+      entries: {},
+    };
+  }
+
+  // SourceMap headers of the generated files, written at the end of the stream
+  var headers = null;
+  if (options.headers) {
+    headers = {
+      path: typeof options.headers === 'string' ? options.headers : '_headers',
+      entries: {},
+    };
+  }
+
+  // content of the sources which is not included in the maps, written at the end of the stream
+  var externalContent = null;
+  if (options.externalContent) {
+    externalContent = {
+      path: typeof options.externalContent === 'string' ?
+        options.externalContent :
+        path.join(destPath || '', 'sourcemaps-sources.json'),
+      entries: {},
+    };
+  }
+
+  /*
+  A predicate on the source paths from a boolean, globs (`!` excludes) or a
+  predicate. Leading `./` and `../` of the sources are ignored by the globs.
+  */
+  function sourceMatcher(patterns) {
+    if (typeof patterns === 'function') {
+      return patterns;
+    }
+    if (typeof patterns === 'string' || Array.isArray(patterns)) {
+      var globs = [].concat(patterns);
+      var included = globs.filter(function(glob) {
+        return glob[0] !== '!';
+      });
+      var excluded = globs.filter(function(glob) {
+        return glob[0] === '!';
+      }).map(function(glob) {
+        return glob.slice(1);
+      });
+      return function(source) {
+        var relative = source.replace(/^(\.\.?\/)+/, '');
+        function matches(glob) {
+          return minimatch(relative, glob, { dot: true });
+        }
+        return (!included.length || included.some(matches)) && !excluded.some(matches);
+      };
+    }
+    return function() {
+      return Boolean(patterns);
+    };
+  }
+
+  var isContentIncluded = sourceMatcher(options.includeContent);
+  var isIgnored = sourceMatcher(options.ignoreList === true ? '**/node_modules/**' : options.ignoreList);
+
+  function contentHash(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex');
+  }
+
+  // registers the debug ID of the running script, for error reporting tools
+  var DEBUG_ID_SNIPPET = '!function(){try{var e="undefined"!=typeof window?window:"undefined"!=typeof global?global:' +
+    '"undefined"!=typeof self?self:{},n=(new e.Error).stack;n&&(e._debugIds=e._debugIds||{},e._debugIds[n]="%s")}catch(e){}}();';
+
+  var DEBUG_ID_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
   rootDebug(function() { return 'options'; });
   rootDebug(function() { return options; });
 
@@ -66,49 +154,282 @@ module.exports = function(destPath, options) {
     });
   }
 
-  function loadContent(file) {
+  /*
+  Calls back with the content of the sources which is not included in the map,
+  by index of the source, so it can be written to the external content.
+  */
+  function loadContent(file, callback) {
     var debug = rootDebug.spawn('loadContent');
 
     var sourceMap = file.sourceMap;
-    if (options.includeContent) {
-      sourceMap.sourcesContent = sourceMap.sourcesContent || [];
-
-      // load missing source content
-      for (var i = 0; i < sourceMap.sources.length; i++) {
-        if (!sourceMap.sourcesContent[i]) {
-          var sourcePath = path.resolve(file.base, sourceMap.sources[i]);
-          try {
-            debug('No source content for "' + sourceMap.sources[i] + '". Loading from file.');
-            sourceMap.sourcesContent[i] = stripBom(fs.readFileSync(sourcePath, 'utf8'));
-          } catch (e) {
-            debug('source file not found: ' + sourcePath);
-          }
+    if (!options.includeContent && !externalContent) {
+      delete sourceMap.sourcesContent;
+      return callback(null, []);
+    }
+
+    var sourcesContent = sourceMap.sourcesContent || [];
+    var excludedContent = [];
+    sourceMap.sourcesContent = [];
+
+    // load missing source content
+    utils.forEachAsync(sourceMap.sources, function(source, i, next) {
+      var included = isContentIncluded(source, file);
+
+      function setContent(content) {
+        if (!included) {
+          sourceMap.sourcesContent[i] = null;
+          excludedContent[i] = content;
+        } else if (content !== undefined) {
+          sourceMap.sourcesContent[i] = content;
+        }
+        next();
+      }
+
+      if (sourcesContent[i]) {
+        return setContent(sourcesContent[i]);
+      }
+      if (!included && !externalContent) {
+        return setContent(null);
+      }
+      var sourcePath = path.resolve(file.base, source);
+      debug('No source content for "' + source + '". Loading from file.');
+      reader.read(sourcePath, function(err, content) {
+        if (err) {
+          debug('source file not found: ' + sourcePath);
         }
+        setContent(err ? sourcesContent[i] : content);
+      });
+    }, function(err) {
+      if (!options.includeContent) {
+        delete sourceMap.sourcesContent;
+      }
+      callback(err, excludedContent);
+    });
+  }
+
+  // sources the browser devtools hide, e.g. in stack traces
+  function setIgnoreList(file) {
+    var debug = rootDebug.spawn('setIgnoreList');
+
+    var sourceMap = file.sourceMap;
+    if (!options.ignoreList) {
+      return;
+    }
+
+    var ignoreList = [];
+    sourceMap.sources.forEach(function(source, i) {
+      if (isIgnored(source, file)) {
+        ignoreList.push(i);
       }
+    });
+    debug(function() { return file.relative + ': ' + ignoreList.join(', '); });
+
+    if (ignoreList.length) {
+      sourceMap.ignoreList = ignoreList;
+      sourceMap.x_google_ignoreList = ignoreList.slice();
     } else {
-      delete sourceMap.sourcesContent;
+      delete sourceMap.ignoreList;
+      delete sourceMap.x_google_ignoreList;
+    }
+  }
+
+  function addExternalContent(file, excludedContent) {
+    var debug = rootDebug.spawn('addExternalContent');
+
+    if (!externalContent) {
+      return;
+    }
+    excludedContent.forEach(function(content, i) {
+      if (typeof content === 'string') {
+        var source = file.sourceMap.sources[i];
+        debug(function() { return source; });
+        externalContent.entries[source] = content;
+      }
+    });
+  }
+
+
+  // drop unused sources and names and normalize the order, so equal output has an equal map
+  function minifySourceMap(file) {
+    var debug = rootDebug.spawn('minifySourceMap');
+
+    if (!options.minify) {
+      return;
     }
+    debug(function() { return file.relative; });
+    Object.assign(file.sourceMap, minify.compact(file.sourceMap));
   }
 
-  function  mapDestPath(file, stream) {
+  // map files can be pretty printed, inline maps are always compact
+  function serialize(sourceMap, isMapFile) {
+    if (options.minify) {
+      sourceMap = minify.specFields(sourceMap);
+    }
+    if (!isMapFile || !options.pretty) {
+      return JSON.stringify(sourceMap);
+    }
+    var indent = options.pretty === true ? 2 : options.pretty;
+    return JSON.stringify(minify.specOrder(sourceMap), null, indent) + '\n';
+  }
+
+  /*
+  Remove the comment of a file which still has one, e.g. if init did not load
+  its map, to replace it. Returns true if it did, the content then ends at the
+  start of a line.
+  */
+  function removeComment(file) {
+    var debug = rootDebug.spawn('removeComment');
+
+    var trailingComment = options.addComment && utils.getTrailingComment(file.contents.toString());
+    if (trailingComment) {
+      debug(function() { return 'replacing ' + trailingComment.comment; });
+      file.contents = new Buffer(file.contents.toString().slice(0, trailingComment.index));
+    }
+    return !!trailingComment;
+  }
+
+  // returns true if a comment was appended, the content then ends at the start of a line
+  function injectDebugId(file) {
+    var debug = rootDebug.spawn('injectDebugId');
+
+    if (!options.debugId) {
+      return false;
+    }
+
+    var sourceMap = file.sourceMap;
+
+    // a UUID derived from the generated content and its mappings, stable across builds
+    var hash = crypto.createHash('sha256')
+      .update(file.contents)
+      .update(JSON.stringify([sourceMap.sources, sourceMap.mappings]))
+      .digest();
+    hash[6] = (hash[6] & 0x0f) | 0x40;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    var hex = hash.toString('hex');
+    var debugId = [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20, 32)].join('-');
+
+    debug(function() { return file.relative + ': ' + debugId; });
+    sourceMap.debugId = debugId;
+
+    if (DEBUG_ID_EXTENSIONS.indexOf(path.extname(file.path)) === -1) {
+      return false;
+    }
+
+    // appended, so the existing mappings stay valid
+    var fileContent = file.contents.toString();
+    var newline = detectNewline.graceful(fileContent);
+    var preLine = fileContent === '' || /\n$/.test(fileContent) ? '' : newline;
+    file.contents = Buffer.concat([
+      file.contents,
+      new Buffer(preLine + DEBUG_ID_SNIPPET.replace('%s', debugId) + newline + '//# debugId=' + debugId + newline),
+    ]);
+    return true;
+  }
+
+  // the URL of an external map file, used in the comment and the SourceMap header
+  function getSourceMappingURL(file, sourceMapPath) {
+    var debug = rootDebug.spawn('getSourceMappingURL');
+
+    var sourceMapPathRelative = path.relative(path.dirname(file.path), sourceMapPath);
+
+    if (options.sourceMappingURLPrefix) {
+      var prefix = '';
+      if (typeof options.sourceMappingURLPrefix === 'function') {
+        prefix = options.sourceMappingURLPrefix(file);
+      } else {
+        prefix = options.sourceMappingURLPrefix;
+      }
+      sourceMapPathRelative = prefix + path.join('/', sourceMapPathRelative);
+    }
+
+    if (options.sourceMappingURL && typeof options.sourceMappingURL === 'function') {
+      debug(function() { return 'options.sourceMappingURL'; });
+      return options.sourceMappingURL(file);
+    }
+
+    debug(function() { return 'destPath'; });
+    return unixStylePath(sourceMapPathRelative);
+  }
+
+  /*
+  Rename the file to include a hash of its contents and its mappings, the map
+  file name follows. The hash is taken before the comment is added, as the
+  comment depends on the name.
+  */
+  function revise(file) {
+    var debug = rootDebug.spawn('revise');
+
+    var sourceMap = file.sourceMap;
+    var length = (typeof options.revision === 'object' && options.revision.length) || 10;
+    var hash = crypto.createHash('sha256')
+      .update(file.contents)
+      .update(JSON.stringify([sourceMap.sources, sourceMap.sourcesContent, sourceMap.names, sourceMap.mappings]))
+      .digest('hex')
+      .slice(0, length);
+
+    var extension = path.extname(file.path);
+    file.path = path.join(path.dirname(file.path), path.basename(file.path, extension) + '.' + hash + extension);
+    sourceMap.file = unixStylePath(file.relative);
+    debug(function() { return file.relative; });
+  }
+
+  // base64 in a worker if there is a pool
+  function encodeBase64(text, callback) {
+    if (pool) {
+      return pool.run('base64', [text], callback);
+    }
+    callback(null, new Buffer(text).toString('base64'));
+  }
+
+  function  mapDestPath(file, stream, atLineStart, callback) {
     var debug = rootDebug.spawn('mapDestPath');
     var sourceMap = file.sourceMap;
 
-    var comment;
-    var commentFormatter = utils.getCommentFormatter(file);
+    var comment, mapFile;
+    var originalPath = unixStylePath(file.relative);
+
+    if (options.revision) {
+      revise(file);
+    }
+
+    var commentFormatter = utils.getCommentFormatter(file, atLineStart);
+
+    function addComment() {
+      output.cwd = output.cwd || file.cwd;
+      output.base = output.base || file.base;
+
+      // append source map comment
+      if (options.addComment && !comment) {
+        debug(function() { return 'warn: no comment formatter for ' + file.relative + ', no sourceMappingURL comment added'; });
+      }
+      if (options.addComment) {
+        file.contents = Buffer.concat([file.contents, new Buffer(comment)]);
+      }
+
+      if (manifest) {
+        addManifestEntry(file, mapFile, originalPath);
+      }
+      callback();
+    }
 
     if (destPath === undefined || destPath === null) {
       // encode source map into comment
-      var base64Map = new Buffer(JSON.stringify(sourceMap)).toString('base64');
-      comment = commentFormatter('data:application/json;charset=' + options.charset + ';base64,' + base64Map);
+      encodeBase64(serialize(sourceMap), function(err, base64Map) {
+        if (err) {
+          return callback(new Error(utils.PLUGIN_NAME + '-write: ' + originalPath + ': ' + utils.exceptionToString(err)));
+        }
+        comment = commentFormatter('data:application/json;charset=' + options.charset + ';base64,' + base64Map);
+        addComment();
+      });
     } else {
-      var mapFile = path.join(destPath, file.relative) + '.map';
+      mapFile = path.join(destPath, file.relative) + '.map';
       // custom map file name
       if (options.mapFile && typeof options.mapFile === 'function') {
-        mapFile = options.mapFile(mapFile);
+        mapFile = options.mapFile(mapFile, file);
       }
 
       var sourceMapPath = path.join(file.base, mapFile);
+      debug(function() { return 'mapFile ' + mapFile; });
 
       // if explicit destination path is set
       if (options.destPath) {
@@ -130,7 +451,7 @@ module.exports = function(destPath, options) {
 
       var sourceMapFile = file.clone(options.clone || { deep: false, contents: false });
       sourceMapFile.path = sourceMapPath;
-      sourceMapFile.contents = new Buffer(JSON.stringify(sourceMap));
+      sourceMapFile.contents = new Buffer(serialize(sourceMap, true));
       sourceMapFile.stat = {
         isFile: function() { return true; },
         isDirectory: function() { return false; },
@@ -142,36 +463,101 @@ module.exports = function(destPath, options) {
       };
       stream.push(sourceMapFile);
 
-      var sourceMapPathRelative = path.relative(path.dirname(file.path), sourceMapPath);
+      var sourceMappingURL = getSourceMappingURL(file, sourceMapPath);
+      comment = commentFormatter(sourceMappingURL);
 
-      if (options.sourceMappingURLPrefix) {
-        var prefix = '';
-        if (typeof options.sourceMappingURLPrefix === 'function') {
-          prefix = options.sourceMappingURLPrefix(file);
-        } else {
-          prefix = options.sourceMappingURLPrefix;
-        }
-        sourceMapPathRelative = prefix + path.join('/', sourceMapPathRelative);
+      if (headers) {
+        headers.entries['/' + unixStylePath(file.relative)] = sourceMappingURL;
       }
-      debug(function() { return 'destPath comment'; });
-      comment = commentFormatter(unixStylePath(sourceMapPathRelative));
 
-      if (options.sourceMappingURL && typeof options.sourceMappingURL === 'function') {
-        debug(function() { return 'options.sourceMappingURL comment'; });
-        comment = commentFormatter(options.sourceMappingURL(file));
-      }
+      addComment();
+    }
+  }
+
+  // entries are by the path before revisioning, `file` is the final path
+  function addManifestEntry(file, mapFile, originalPath) {
+    var debug = rootDebug.spawn('addManifestEntry');
+
+    var relative = unixStylePath(file.relative);
+    debug(function() { return originalPath + ' ' + relative; });
+
+    manifest.entries[originalPath] = {
+      file: relative,
+      hash: contentHash(file.contents),
+      map: mapFile ? unixStylePath(mapFile) : null,
+    };
+    if (file.sourceMap.debugId) {
+      manifest.entries[originalPath].debugId = file.sourceMap.debugId;
+    }
+  }
+
+  function sortedEntries(entries) {
+    var sorted = {};
+    Object.keys(entries).sort().forEach(function(key) {
+      sorted[key] = entries[key];
+    });
+    return sorted;
+  }
+
+  function formatHeaders() {
+    var entries = sortedEntries(headers.entries);
+
+    if (path.extname(headers.path) === '.json') {
+      var json = {};
+      Object.keys(entries).forEach(function(url) {
+        json[url] = { SourceMap: entries[url] };
+      });
+      return JSON.stringify(json, null, 2) + '\n';
+    }
+
+    // the _headers file format of static hosts like Netlify or Cloudflare Pages
+    return Object.keys(entries).map(function(url) {
+      return url + '\n  SourceMap: ' + entries[url] + '\n';
+    }).join('');
+  }
+
+  function pushOutputFile(stream, relativePath, contents) {
+    stream.push(new File({
+      cwd: output.cwd,
+      base: output.base,
+      path: path.join(output.base, relativePath),
+      contents: new Buffer(contents),
+    }));
+  }
+
+  function flush(stream) {
+    var debug = rootDebug.spawn('flush');
+
+    if (!output.base) {
+      return;
+    }
+
+    if (manifest) {
+      debug(function() { return 'manifest ' + manifest.path; });
+      pushOutputFile(stream, manifest.path, JSON.stringify(sortedEntries(manifest.entries), null, 2) + '\n');
+    }
+
+    if (externalContent) {
+      debug(function() { return 'external content ' + externalContent.path; });
+      pushOutputFile(stream, externalContent.path, JSON.stringify(sortedEntries(externalContent.entries), null, 2) + '\n');
     }
 
-    // append source map comment
-    if (options.addComment) {
-      file.contents = Buffer.concat([file.contents, new Buffer(comment)]);
+    if (headers) {
+      debug(function() { return 'headers ' + headers.path; });
+      pushOutputFile(stream, headers.path, formatHeaders());
     }
   }
 
   return {
     setSourceRoot: setSourceRoot,
     loadContent: loadContent,
+    addExternalContent: addExternalContent,
+    setIgnoreList: setIgnoreList,
+    minifySourceMap: minifySourceMap,
     mapSources: mapSources,
+    removeComment: removeComment,
+    injectDebugId: injectDebugId,
     mapDestPath: mapDestPath,
+    flush: flush,
   };
 };
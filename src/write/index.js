@@ -3,6 +3,8 @@ var utils = require('../utils');
 var through = require('through2');
 var unixStylePath = utils.unixStylePath;
 var internalsInit = require('./index.internals');
+var createWorkerPool = require('../worker-pool');
+var createOrderedQueue = require('../ordered-queue');
 
 /**
  * Write the source map
@@ -35,35 +37,109 @@ function write(destPath, options) {
   if (options.charset === undefined) {
     options.charset = 'utf8';
   }
+  if (options.hidden) {
+    if (destPath === undefined || destPath === null) {
+      throw new Error(utils.PLUGIN_NAME + '-write: the hidden option requires a destination path for the map files');
+    }
+    // hidden maps are not referenced by the generated files, only by the manifest
+    options.addComment = false;
+    if (options.manifest === undefined) {
+      options.manifest = true;
+    }
+  }
+
+  // revisioned names are only known to the manifest
+  if (options.revision && options.manifest === undefined) {
+    options.manifest = true;
+  }
 
   debug(function() { return 'derrived options'; });
   debug(function() { return options; });
 
-  var internals = internalsInit(destPath, options);
+  var pool = options.workers ? createWorkerPool(options.workers) : null;
+  var internals = internalsInit(destPath, options, pool);
+  // with workers several files are written at the same time
+  var queue = createOrderedQueue(pool ? pool.size * 2 : 1);
 
   function sourceMapWrite(file, encoding, callback) {
+    queue.add(this, function(push, done) {
+      writeFile(file, { push: push }, done);
+    }, callback);
+  }
+
+  function writeFile(file, stream, callback) {
     if (file.isNull() || !file.sourceMap) {
-      this.push(file);
+      stream.push(file);
       return callback();
     }
 
+    function done(err) {
+      if (err) {
+        return callback(err);
+      }
+      stream.push(file);
+      callback();
+    }
+
     if (file.isStream()) {
-      return callback(new Error(utils.PLUGIN_NAME + '-write: Streaming not supported'));
+      debug(function() { return 'buffering stream contents'; });
+      return utils.bufferStream(file.contents, function(err, contents) {
+        if (err) {
+          return callback(new Error(utils.PLUGIN_NAME + '-write: ' + utils.exceptionToString(err)));
+        }
+        file.contents = contents;
+        writeSourceMap(file, stream, function(err) {
+          file.contents = utils.streamBuffer(file.contents);
+          done(err);
+        });
+      });
     }
 
+    writeSourceMap(file, stream, done);
+  }
+
+  function writeSourceMap(file, stream, callback) {
     // fix paths if Windows style paths
     file.sourceMap.file = unixStylePath(file.relative);
 
     internals.setSourceRoot(file);
-    internals.loadContent(file);
-    internals.mapSources(file);
-    internals.mapDestPath(file, this);
+    internals.loadContent(file, function(err, excludedContent) {
+      if (err) {
+        return callback(err);
+      }
+      internals.mapSources(file);
+      internals.setIgnoreList(file);
+      internals.addExternalContent(file, excludedContent);
+      try {
+        internals.minifySourceMap(file);
+      } catch (e) {
+        return callback(new Error(utils.PLUGIN_NAME + '-write: ' + file.relative + ': ' + utils.exceptionToString(e)));
+      }
+      var atLineStart = internals.removeComment(file);
+      atLineStart = internals.injectDebugId(file) || atLineStart;
+      internals.mapDestPath(file, stream, atLineStart, callback);
+    });
+  }
+
+  function sourceMapFlush(callback) {
+    var stream = this;
 
-    this.push(file);
-    callback();
+    queue.flush(function(err) {
+      if (pool) {
+        pool.close();
+      }
+      if (err) {
+        return callback(err);
+      }
+      internals.flush(stream);
+      if (!options.cache) {
+        return callback();
+      }
+      options.cache.save(callback);
+    });
   }
 
-  return through.obj(sourceMapWrite);
+  return through.obj(sourceMapWrite, sourceMapFlush);
 }
 
 module.exports = write;
@@ -0,0 +1,71 @@
+'use strict';
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var mappings = require('../src/mappings');
+var helpers = require('./test-helpers');
+
+function makeFile(sourceMap) {
+  return helpers.makeFileWithSourceMap('a.js', 'a = 1', sourceMap);
+}
+
+describe('apply', function() {
+
+  it('should replace the empty source map of init', function(done) {
+    var file = makeFile({ version: 3, file: 'a.js', names: [], mappings: '', sources: ['a.js'], sourcesContent: ['var a = 1;'] });
+
+    sourcemaps.apply(file, { version: 3, file: 'a.js', names: ['a'], mappings: 'AAAIA', sources: ['a.js'] });
+
+    expect(file.sourceMap).toEqual({
+      version: 3,
+      file: 'a.js',
+      names: ['a'],
+      mappings: 'AAAIA',
+      sources: ['a.js'],
+      sourcesContent: ['var a = 1;'],
+    });
+    done();
+  });
+
+  it('should compose the source map with the one of the file', function(done) {
+    var file = makeFile({
+      version: 3,
+      file: 'a.js',
+      names: [],
+      mappings: mappings.encode([[[0, 0, 0, 0], [4, 0, 0, 6]]]),
+      sources: ['a.ts'],
+      sourcesContent: ['const a = 1;'],
+    });
+
+    sourcemaps.apply(file, JSON.stringify({
+      version: 3,
+      file: 'a.js',
+      names: [],
+      mappings: mappings.encode([[[0, 0, 0, 0], [2, 0, 0, 4]]]),
+      sources: ['a.js'],
+    }));
+
+    expect(file.sourceMap.file).toEqual('a.js');
+    expect(file.sourceMap.sources).toEqual(['a.ts']);
+    expect(file.sourceMap.sourcesContent).toEqual(['const a = 1;']);
+    expect(mappings.decode(file.sourceMap.mappings)).toEqual([[[0, 0, 0, 0], [2, 0, 0, 6]]]);
+    done();
+  });
+
+  it('should use unix style paths', function(done) {
+    var file = makeFile();
+
+    sourcemaps.apply(file, { version: 3, file: 'dir\\a.js', names: [], mappings: '', sources: ['dir\\a.ts'] });
+
+    expect(file.sourceMap.file).toEqual('dir/a.js');
+    expect(file.sourceMap.sources).toEqual(['dir/a.ts']);
+    done();
+  });
+
+  it('should throw if the source map has no mappings', function(done) {
+    expect(function() {
+      sourcemaps.apply(makeFile(), { version: 3, sources: [] });
+    }).toThrow('gulp-sourcemaps-apply: Source map to be applied is missing the "mappings" property');
+    done();
+  });
+});
@@ -0,0 +1,2 @@
+var answer = 42;
+//# sourceMappingURL=test5.js.map
@@ -0,0 +1,139 @@
+'use strict';
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var fs = require('graceful-fs');
+var path = require('path');
+var gulp = require('gulp');
+var rimraf = require('rimraf');
+var miss = require('mississippi');
+
+var pipe = miss.pipe;
+var concat = miss.concat;
+
+var tmpDir = path.join(__dirname, '../tmp/cache');
+var jsPath = path.join(tmpDir, 'a.js');
+var mapPath = path.join(tmpDir, 'a.js.map');
+var tsPath = path.join(tmpDir, 'a.ts');
+var cachePath = path.join(tmpDir, 'cache.json');
+
+function writeMap(mappings, mtime) {
+  fs.writeFileSync(mapPath, JSON.stringify({ version: 3, file: 'a.js', sources: ['a.ts'], names: [], mappings: mappings }));
+  fs.utimesSync(mapPath, mtime, mtime);
+}
+
+function readsOf(spy, filePath) {
+  return spy.calls.filter(function(call) {
+    return call.arguments[0] === filePath;
+  }).length;
+}
+
+function run(streams, callback) {
+  pipe([gulp.src(jsPath)].concat(streams, concat(callback)), function(err) {
+    expect(err).toNotExist();
+  });
+}
+
+describe('cache', function() {
+
+  beforeEach(function() {
+    [path.dirname(tmpDir), tmpDir].forEach(function(dir) {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir);
+      }
+    });
+    fs.writeFileSync(jsPath, 'var a = 1;\n//# sourceMappingURL=a.js.map\n');
+    fs.writeFileSync(tsPath, 'let a = 1;\n');
+    writeMap('AAAA', 1000000000);
+  });
+
+  afterEach(function(cb) {
+    expect.restoreSpies();
+    rimraf(tmpDir, cb);
+  });
+
+  it('should not load the maps of unchanged files again', function(done) {
+    var cache = sourcemaps.createCache();
+
+    run([sourcemaps.init({ loadMaps: true, cache: cache })], function(first) {
+      var spy = expect.spyOn(fs, 'readFile').andCallThrough();
+
+      run([sourcemaps.init({ loadMaps: true, cache: cache })], function(second) {
+        expect(readsOf(spy, mapPath)).toEqual(0);
+        expect(readsOf(spy, tsPath)).toEqual(0);
+        expect(second[0].sourceMap).toEqual(first[0].sourceMap);
+        expect(second[0].sourceMap.sourcesContent).toEqual(['let a = 1;\n']);
+        expect(second[0].contents.toString()).toEqual('var a = 1;\n');
+        done();
+      });
+    });
+  });
+
+  it('should load the map again when a file it was loaded from changed', function(done) {
+    var cache = sourcemaps.createCache();
+
+    run([sourcemaps.init({ loadMaps: true, cache: cache })], function() {
+      writeMap('AACA', 1000000010);
+
+      run([sourcemaps.init({ loadMaps: true, cache: cache })], function(results) {
+        expect(results[0].sourceMap.mappings).toEqual('AACA');
+        done();
+      });
+    });
+  });
+
+  it('should load the map again after a file it was loaded from is invalidated', function(done) {
+    var cache = sourcemaps.createCache();
+
+    run([sourcemaps.init({ loadMaps: true, cache: cache })], function() {
+      // a change the modification time and size do not tell
+      writeMap('AACA', 1000000000);
+
+      run([sourcemaps.init({ loadMaps: true, cache: cache })], function(stale) {
+        expect(stale[0].sourceMap.mappings).toEqual('AAAA');
+        cache.invalidate(mapPath);
+
+        run([sourcemaps.init({ loadMaps: true, cache: cache })], function(results) {
+          expect(results[0].sourceMap.mappings).toEqual('AACA');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should share the files read by init with write', function(done) {
+    var cache = sourcemaps.createCache();
+    var spy;
+
+    function dropContent(file) {
+      delete file.sourceMap.sourcesContent;
+      spy = expect.spyOn(fs, 'readFile').andCallThrough();
+      return file;
+    }
+
+    run([
+      sourcemaps.init({ loadMaps: true, cache: cache }),
+      miss.through.obj(function(file, enc, cb) {
+        cb(null, dropContent(file));
+      }),
+      sourcemaps.write({ cache: cache }),
+    ], function(results) {
+      expect(readsOf(spy, tsPath)).toEqual(0);
+      expect(results[0].contents.toString()).toInclude('sourceMappingURL=data:application/json');
+      done();
+    });
+  });
+
+  it('should keep the maps in the cache file', function(done) {
+    run([sourcemaps.init({ loadMaps: true, cache: sourcemaps.createCache({ path: cachePath }) })], function() {
+      expect(JSON.parse(fs.readFileSync(cachePath, 'utf8')).version).toEqual(1);
+      var spy = expect.spyOn(fs, 'readFile').andCallThrough();
+
+      run([sourcemaps.init({ loadMaps: true, cache: sourcemaps.createCache({ path: cachePath }) })], function(results) {
+        expect(readsOf(spy, mapPath)).toEqual(0);
+        expect(results[0].sourceMap.sources).toEqual(['a.ts']);
+        done();
+      });
+    });
+  });
+});
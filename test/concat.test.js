@@ -0,0 +1,159 @@
+'use strict';
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var path = require('path');
+var miss = require('mississippi');
+var mappings = require('../src/mappings');
+var helpers = require('./test-helpers');
+
+var from = miss.from;
+var pipe = miss.pipe;
+var concat = miss.concat;
+
+describe('concat', function() {
+
+  it('should join the files and their source maps', function(done) {
+    var a = helpers.makeFileWithSourceMap('a.js', 'var a = 1;', {
+      version: 3,
+      names: ['a'],
+      sources: ['a.ts'],
+      sourcesContent: ['let a = 1;'],
+      mappings: mappings.encode([[[0, 0, 0, 0], [4, 0, 0, 4, 0]]]),
+    });
+    var b = helpers.makeFileWithSourceMap('b.js', 'var b = 2;\nvar a = 3;', {
+      version: 3,
+      names: ['b', 'a'],
+      sources: ['b.ts', 'a.ts'],
+      sourcesContent: ['let b = 2;', null],
+      mappings: mappings.encode([[[0, 0, 0, 0], [4, 0, 0, 4, 0]], [[0, 1, 1, 0], [4, 1, 1, 4, 1]]]),
+    });
+
+    function assert(results) {
+      expect(results.length).toEqual(1);
+      var data = results[0];
+      expect(data.path).toEqual(path.join(__dirname, 'assets', 'all.js'));
+      expect(data.contents.toString()).toEqual('var a = 1;\nvar b = 2;\nvar a = 3;');
+      expect(data.sourceMap.file).toEqual('all.js');
+      expect(data.sourceMap.sources).toEqual(['a.ts', 'b.ts']);
+      expect(data.sourceMap.sourcesContent).toEqual(['let a = 1;', 'let b = 2;']);
+      expect(data.sourceMap.names).toEqual(['a', 'b']);
+      expect(mappings.decode(data.sourceMap.mappings)).toEqual([
+        [[0, 0, 0, 0], [4, 0, 0, 4, 0]],
+        [[0, 1, 0, 0], [4, 1, 0, 4, 1]],
+        [[0, 0, 1, 0], [4, 0, 1, 4, 0]],
+      ]);
+    }
+
+    pipe([
+      from.obj([a, b]),
+      sourcemaps.concat('all.js'),
+      sourcemaps.validate(),
+      concat(assert),
+    ], done);
+  });
+
+  it('should map files without source map to themselves and offset columns', function(done) {
+    var a = helpers.makeFileWithSourceMap('a.js', 'var a;');
+    var b = helpers.makeFileWithSourceMap(path.join('dir', 'b.js'), 'var b;', {
+      version: 3,
+      names: [],
+      sources: ['b.ts'],
+      mappings: 'AAAA',
+    });
+    b.base = path.join(__dirname, 'assets', 'dir');
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.contents.toString()).toEqual('var b;var a;');
+      expect(data.sourceMap.sources).toEqual(['dir/b.ts', 'a.js']);
+      expect(data.sourceMap.sourcesContent).toEqual([null, 'var a;']);
+      expect(mappings.decode(data.sourceMap.mappings)).toEqual([[[0, 0, 0, 0], [6, 1, 0, 0]]]);
+    }
+
+    pipe([
+      from.obj([b, a]),
+      sourcemaps.concat('all.js', { newLine: '' }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should map the files to themselves after init', function(done) {
+    var a = helpers.makeFileWithSourceMap('a.js', 'var a = 1;\nvar b = 2;');
+    var b = helpers.makeFileWithSourceMap('b.js', 'var c = 3;');
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['a.js', 'b.js']);
+      expect(data.sourceMap.sourcesContent).toEqual(['var a = 1;\nvar b = 2;', 'var c = 3;']);
+      expect(mappings.decode(data.sourceMap.mappings)).toEqual([
+        [[0, 0, 0, 0]],
+        [[0, 0, 1, 0]],
+        [[0, 1, 0, 0]],
+      ]);
+    }
+
+    pipe([
+      from.obj([a, b]),
+      sourcemaps.init(),
+      sourcemaps.concat('all.js'),
+      concat(assert),
+    ], done);
+  });
+
+  it('should not add a source map if no file has one', function(done) {
+    function assert(results) {
+      var data = results[0];
+      expect(data.contents.toString()).toEqual('var a;\nvar b;');
+      expect(data.sourceMap).toNotExist();
+    }
+
+    pipe([
+      from.obj([helpers.makeFileWithSourceMap('a.js', 'var a;'), helpers.makeFileWithSourceMap('b.js', 'var b;')]),
+      sourcemaps.concat('all.js'),
+      concat(assert),
+    ], done);
+  });
+
+  it('should emit an error for invalid mappings', function(done) {
+    var file = helpers.makeFileWithSourceMap('a.js', 'var a;', { version: 3, names: [], sources: ['a.ts'], mappings: 'A!' });
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.concat('all.js'),
+    ], function(err) {
+      expect(err instanceof Error).toEqual(true);
+      expect(err.message).toEqual('gulp-sourcemaps-concat: a.js: Invalid character "!" in mappings');
+      done();
+    });
+  });
+
+  it('should emit an error for mappings with a source or name out of range', function(done) {
+    var file = helpers.makeFileWithSourceMap('a.js', 'var a;', { version: 3, names: [], sources: ['a.ts'], mappings: 'ACAA' });
+    var fileB = helpers.makeFileWithSourceMap('b.js', 'var b;', { version: 3, names: [], sources: ['b.ts'], mappings: 'AAAAA' });
+
+    pipe([
+      from.obj([file, helpers.makeFileWithSourceMap('b.js', 'var b;')]),
+      sourcemaps.concat('all.js'),
+    ], function(err) {
+      expect(err instanceof Error).toEqual(true);
+      expect(err.message).toEqual('gulp-sourcemaps-concat: a.js: Source index 1 out of range in mappings');
+
+      pipe([
+        from.obj([fileB]),
+        sourcemaps.concat('all.js'),
+      ], function(err) {
+        expect(err instanceof Error).toEqual(true);
+        expect(err.message).toEqual('gulp-sourcemaps-concat: b.js: Name index 0 out of range in mappings');
+        done();
+      });
+    });
+  });
+
+  it('should throw without a file name', function(done) {
+    expect(function() {
+      sourcemaps.concat();
+    }).toThrow('gulp-sourcemaps-concat: Missing file name');
+    done();
+  });
+});
@@ -1,5 +1,7 @@
 'use strict';
 
+/* global Promise */
+
 var expect = require('expect');
 // BEGIN PRE-HOOK of debug
 var debug = require('debug-fabulous')();
@@ -18,6 +20,8 @@ if (!ignoreLogTests) {
 // END PRE-HOOK of debug (must be loaded before our main module (sourcemaps))
 var sourcemaps = require('..');
 var File = require('vinyl');
+var path = require('path');
+var convert = require('convert-source-map');
 var hookStd = require('hook-std');
 var helpers = require('./test-helpers');
 
@@ -42,20 +46,63 @@ describe('init', function() {
     ], done);
   });
 
-  it('should emit an error if file content is a stream', function(done) {
+  it('should add an empty source map to a file with stream contents', function(done) {
     var file = helpers.makeStreamFile();
 
-    function assert(err) {
-      expect(err).toExist();
+    function assert(results) {
+      var data = results[0];
+      expect(data).toExist();
+      expect(data.isStream()).toEqual(true);
+      expect(data.sourceMap).toExist();
+      expect(data.sourceMap.sources).toEqual(['helloworld.js']);
+      expect(data.sourceMap.sourcesContent).toEqual([helpers.sourceContent]);
 
-      done();
+      pipe([
+        data.contents,
+        concat(function(contents) {
+          expect(contents.toString()).toEqual(helpers.sourceContent);
+        }),
+      ], done);
     }
 
     pipe([
       from.obj([file]),
       sourcemaps.init(),
-      concat(),
-    ], assert);
+      concat(assert),
+    ], function(err) {
+      if (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should import an existing inline source map from stream contents', function(done) {
+    var inlineFile = helpers.makeFileWithInlineSourceMap();
+    var file = helpers.makeStreamFile(inlineFile.contents.toString());
+    file.path = inlineFile.path;
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.isStream()).toEqual(true);
+      expect(data.sourceMap.sources).toEqual(['test1.js', 'test2.js']);
+
+      pipe([
+        data.contents,
+        concat(function(contents) {
+          expect(/sourceMappingURL/.test(contents.toString())).toEqual(false);
+        }),
+      ], done);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true }),
+      concat(assert),
+    ], function(err) {
+      if (err) {
+        done(err);
+      }
+    });
   });
 
   it('should add an empty source map', function(done) {
@@ -124,6 +171,149 @@ describe('init', function() {
     ], done);
   });
 
+  it('should add a valid source map for typescript if wished', function(done) {
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'hello.ts'),
+      contents: new Buffer('function hello(name: string) {\n  return "hello " + name;\n}\n'),
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['hello.ts']);
+      expect(data.sourceMap.names).toEqual(['hello', 'name', 'string']);
+      expect(data.sourceMap.mappings).toEqual('AAAA,SAASA,KAAK,CAACC,IAAI,EAAEC,MAAM,EAAE;EAC3B,OAAO,SAAS,EAAED,IAAI;AACxB');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ identityMap: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should not add the keywords of ES2015 and typescript to the names', function(done) {
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'hello.ts'),
+      contents: new Buffer('let b = 2;\ntype T = keyof U;\nasync function f() {\n  for (const x of await g()) yield x;\n}\n'),
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.names).toEqual(['b', 'T', 'U', 'f', 'x', 'g']);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ identityMap: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should add a valid source map for the scripts of an html file if wished', function(done) {
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'index.html'),
+      contents: new Buffer('<p>\n<script>\n  hello();\n</script>\n<script type="text/template">\n  ignored();\n</script>\n'),
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['index.html']);
+      expect(data.sourceMap.names).toEqual(['hello']);
+      expect(data.sourceMap.mappings).toEqual('AAAA;AACA;EACEA,KAAK,CAAC,CAAC;;AAET');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ identityMap: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should use a registered identity map generator', function(done) {
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'hello.custom'),
+      contents: new Buffer('hello'),
+    });
+
+    var unregister = sourcemaps.registerIdentityMap('custom', function(source, content) {
+      expect(source).toEqual('hello.custom');
+      expect(content).toEqual('hello');
+      return { version: 3, sources: [source], names: [], mappings: 'AAAA', sourcesContent: [content] };
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['hello.custom']);
+      expect(data.sourceMap.mappings).toEqual('AAAA');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ identityMap: true }),
+      concat(assert),
+    ], function(err) {
+      unregister();
+      done(err);
+    });
+  });
+
+  it('should not use an unregistered identity map generator', function(done) {
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'hello.custom'),
+      contents: new Buffer('hello'),
+    });
+
+    sourcemaps.registerIdentityMap('custom', function(source, content) {
+      return { version: 3, sources: [source], names: [], mappings: 'AAAA', sourcesContent: [content] };
+    })();
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['hello.custom']);
+      expect(data.sourceMap.mappings).toEqual('');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ identityMap: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should generate identity maps in worker threads with option workers', function(done) {
+    function makeFiles() {
+      return [helpers.makeFile(), new File(), helpers.makeFileCSS()];
+    }
+
+    pipe([
+      from.obj(makeFiles()),
+      sourcemaps.init({ identityMap: true }),
+      concat(function(expected) {
+        pipe([
+          from.obj(makeFiles()),
+          sourcemaps.init({ identityMap: true, workers: 2 }),
+          concat(function(results) {
+            expect(results.map(function(file) {
+              return file.isNull() ? null : file.relative;
+            })).toEqual(['helloworld.js', null, 'test.css']);
+            expect(results[0].sourceMap).toEqual(expected[0].sourceMap);
+            expect(results[2].sourceMap).toEqual(expected[2].sourceMap);
+          }),
+        ], done);
+      }),
+    ]);
+  });
+
   it('init: can replace `identityMap` option with sourcemap.identityMap stream (js file)', function(done) {
     var file = helpers.makeFile();
 
@@ -170,6 +360,53 @@ describe('init', function() {
     ], done);
   });
 
+  it('should only load the source map of a comment at the end of the file', function(done) {
+    var content = 'var comment = `\n//# sourceMappingURL=helloworld2.js.map\n`;\n';
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'literal.js'),
+      contents: new Buffer(content),
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.contents.toString()).toEqual(content);
+      expect(data.sourceMap.sources).toEqual(['literal.js']);
+      expect(data.sourceMap.mappings).toEqual('');
+      expect(data.sourceMap.preExistingComment).toNotExist();
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should import an inline source map of a css comment', function(done) {
+    var map = { version: 3, sources: ['test.scss'], names: [], mappings: 'AAAA', sourcesContent: ['a { }'] };
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'inline.css'),
+      contents: new Buffer('a {}\n/*@ sourceMappingURL=data:application/json;base64,' + convert.fromObject(map).toBase64() + ' */\n'),
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.contents.toString()).toEqual('a {}\n');
+      expect(data.sourceMap.sources).toEqual(['test.scss']);
+      expect(data.sourceMap.mappings).toEqual('AAAA');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
   it('should import an existing inline source map', function(done) {
     var file = helpers.makeFileWithInlineSourceMap();
 
@@ -214,6 +451,69 @@ describe('init', function() {
     ], done);
   });
 
+  it('should import the inline source map of a large file without converting the file to a string', function(done) {
+    var file = helpers.makeFileWithInlineSourceMap();
+    var contents = file.contents;
+    var spy = expect.spyOn(contents, 'toString').andCallThrough();
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['test1.js', 'test2.js']);
+      expect(data.sourceMap.mappings).toEqual('AAAAA,QAAAC,IAAA,YACAD,QAAAC,IAAA,YCDAD,QAAAC,IAAA,YACAD,QAAAC,IAAA');
+      expect(data.sourceMap.preExistingComment).toMatch(/^\/\/# sourceMappingURL=data:application\/json;base64,/);
+      // the comment is sliced off the same memory
+      expect(data.contents.buffer).toBe(contents.buffer);
+      expect(data.contents.toString()).toEqual(
+        'console.log("line 1.1"),console.log("line 1.2"),console.log("line 2.1"),console.log("line 2.2");\n'
+      );
+      // only the last line is converted
+      spy.calls.forEach(function(call) {
+        expect(call.arguments.length).toEqual(3);
+      });
+      expect(spy.calls.length).toEqual(1);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, largeFile: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should load the external source map of a large file', function(done) {
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=helloworld2.js.map\n');
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['helloworld2.js']);
+      expect(data.sourceMap.sourcesContent).toEqual(['source content from source map']);
+      expect(data.sourceMap.preExistingComment).toEqual('helloworld2.js.map');
+      expect(data.contents.toString()).toEqual(helpers.sourceContent + '\n');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, largeFile: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should add the content of a large file without a source map', function(done) {
+    var file = helpers.makeFile();
+
+    function assert(results) {
+      expect(results[0].sourceMap.sourcesContent).toEqual([helpers.sourceContent]);
+      expect(results[0].contents.toString()).toEqual(helpers.sourceContent);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, largeFile: true }),
+      concat(assert),
+    ], done);
+  });
+
   it('css: should load external source map file referenced in comment with the //*# syntax', function(done) {
     var file = helpers.makeFileCSS();
     file.contents = new Buffer(helpers.sourceContentCSS + '\n/*# sourceMappingURL=test.css.map */');
@@ -403,6 +703,154 @@ describe('init', function() {
     ], done);
   });
 
+  it('should flatten an indexed source map with sections', function(done) {
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=helloworld8.js.map');
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap).toExist();
+      expect(data.sourceMap.sections).toNotExist();
+      expect(String(data.sourceMap.version)).toEqual('3');
+      expect(data.sourceMap.sources).toEqual(['helloworld.js', 'test1.js']);
+      expect(data.sourceMap.sourcesContent).toEqual(['source content from section', 'test1\n']);
+      expect(data.sourceMap.names).toEqual(['helloWorld']);
+      expect(data.sourceMap.mappings).toEqual('AAAA;AACAA;ACDA');
+      expect(/sourceMappingURL/.test(data.contents.toString())).toEqual(false);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should keep the sections of an indexed source map whose map loaded', function(done) {
+    var indexMap = {
+      version: 3,
+      file: 'helloworld.js',
+      sections: [
+        {
+          offset: { line: 0, column: 0 },
+          map: { version: 3, names: [], mappings: 'AAAA', sources: ['helloworld.js'], sourcesContent: ['source content from section'] },
+        },
+        { offset: { line: 2, column: 0 }, url: 'missing.js.map' },
+      ],
+    };
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=data:application/json;base64,' +
+      new Buffer(JSON.stringify(indexMap)).toString('base64'));
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sections).toNotExist();
+      expect(data.sourceMap.sources).toEqual(['helloworld.js']);
+      expect(data.sourceMap.sourcesContent).toEqual(['source content from section']);
+      expect(data.sourceMap.mappings).toEqual('AAAA');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should only point one level back without option composeMaps', function(done) {
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=helloworld9.js.map');
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['test5.js']);
+      expect(data.sourceMap.mappings).toEqual('AAAA,IAAI,MAAM');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should compose upstream source maps with option composeMaps', function(done) {
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=helloworld9.js.map');
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap).toExist();
+      expect(data.sourceMap.file).toEqual('helloworld.js');
+      expect(data.sourceMap.sources).toEqual(['test5.ts']);
+      expect(data.sourceMap.sourcesContent).toEqual(['let answer: number = 42;\n']);
+      expect(data.sourceMap.names).toEqual(['answer']);
+      expect(data.sourceMap.mappings).toEqual('AAAA,IAAIA,MAAc');
+      expect(/sourceMappingURL/.test(data.contents.toString())).toEqual(false);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, composeMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should compose every upstream source map with its own source', function(done) {
+    var oneMap = { version: 3, names: [], mappings: 'AAAA;ACAA', sources: ['one.ts', 'shared.ts'], sourcesContent: ['one', 'shared'] };
+    var twoMap = { version: 3, names: [], mappings: 'AAAA', sources: ['two.ts'], sourcesContent: ['two'] };
+    var map = {
+      version: 3,
+      names: [],
+      mappings: 'AAAA;AACA;ACDA',
+      sources: ['one.js', 'two.js'],
+      sourcesContent: [
+        'one();\nshared();\n' + convert.fromObject(oneMap).toComment() + '\n',
+        'two();\n' + convert.fromObject(twoMap).toComment() + '\n',
+      ],
+    };
+    var file = helpers.makeFile();
+    file.contents = new Buffer('one();\nshared();\ntwo();\n' + convert.fromObject(map).toComment());
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['one.ts', 'shared.ts', 'two.ts']);
+      expect(data.sourceMap.sourcesContent).toEqual(['one', 'shared', 'two']);
+      expect(data.sourceMap.mappings).toEqual('AAAA;ACAA;ACAA');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, composeMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should skip an invalid upstream source map with option composeMaps', function(done) {
+    var twoMap = { version: 3, names: [], mappings: 'A!!', sources: ['two.ts'], sourcesContent: ['two'] };
+    var map = {
+      version: 3,
+      names: [],
+      mappings: 'AAAA',
+      sources: ['two.js'],
+      sourcesContent: ['two();\n' + convert.fromObject(twoMap).toComment() + '\n'],
+    };
+    var file = helpers.makeFile();
+    file.contents = new Buffer('two();\n' + convert.fromObject(map).toComment());
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['two.js']);
+      expect(data.sourceMap.mappings).toEqual('AAAA');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, composeMaps: true }),
+      concat(assert),
+    ], done);
+  });
+
   it('should not load source content if the path is a url', function(done) {
     var file = helpers.makeFile();
     file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=helloworld6.js.map');
@@ -423,6 +871,88 @@ describe('init', function() {
     ], done);
   });
 
+  it('should load source content of urls with option fetch', function(done) {
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=helloworld6.js.map');
+
+    function fetch(url) {
+      return 'content of ' + url;
+    }
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['helloworld.js', 'http://example2.com/test1.js']);
+      expect(data.sourceMap.sourcesContent).toEqual([
+        'content of http://example.com/helloworld.js', 'content of http://example2.com/test1.js',
+      ]);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, fetch: fetch }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should load a source map url with an asynchronous fetch', function(done) {
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=https://cdn.example.com/maps/helloworld.js.map');
+
+    var fetched = [];
+
+    function fetch(url, file) {
+      fetched.push(url);
+      expect(file.path).toEqual(helpers.makeFile().path);
+      if (url === 'https://cdn.example.com/maps/helloworld.js.map') {
+        return Promise.resolve({
+          version: 3,
+          names: [],
+          mappings: '',
+          sources: ['../src/helloworld.js', 'webpack://app/missing.js'],
+        });
+      }
+      if (url === 'https://cdn.example.com/src/helloworld.js') {
+        return Promise.resolve(new Buffer('remote content'));
+      }
+      return Promise.reject(new Error('not found'));
+    }
+
+    function assert(results) {
+      var data = results[0];
+      expect(fetched.length).toEqual(3);
+      expect(data.sourceMap.sources).toEqual(['https://cdn.example.com/src/helloworld.js', 'webpack://app/missing.js']);
+      expect(data.sourceMap.sourcesContent).toEqual(['remote content', null]);
+      expect(/sourceMappingURL/.test(data.contents.toString())).toEqual(false);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, fetch: fetch }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should load a source map url from a local mirror with option resolveUrl', function(done) {
+    var file = helpers.makeFile();
+    file.contents = new Buffer(helpers.sourceContent + '\n//# sourceMappingURL=https://cdn.example.com/helloworld2.js.map');
+
+    function resolveUrl(url) {
+      return url.replace('https://cdn.example.com/', 'assets/');
+    }
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sources).toEqual(['https://cdn.example.com/helloworld2.js']);
+      expect(data.sourceMap.sourcesContent).toEqual(['source content from source map']);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true, resolveUrl: resolveUrl }),
+      concat(assert),
+    ], done);
+  });
+
   it('should pass through when file already has a source map', function(done) {
     var sourceMap = {
       version: 3,
@@ -0,0 +1,36 @@
+'use strict';
+
+var expect = require('expect');
+var mappings = require('../src/mappings');
+
+describe('mappings', function() {
+
+  it('decode: returns absolute segments per generated line', function(done) {
+    var decoded = mappings.decode('AAAA,SAASA;;IACbC');
+
+    expect(decoded).toEqual([
+      [[0, 0, 0, 0], [9, 0, 0, 9, 0]],
+      [],
+      [[4, 0, 1, -4, 1]],
+    ]);
+    done();
+  });
+
+  it('decode: throws on invalid mappings', function(done) {
+    expect(function() {
+      mappings.decode('AA!A');
+    }).toThrow(/Invalid character/);
+    expect(function() {
+      mappings.decode('AAA');
+    }).toThrow(/Invalid segment/);
+    done();
+  });
+
+  it('encode: is the inverse of decode', function(done) {
+    var encoded = 'AAAA,YAAY;;AAEZ,SAASA,UAAU,CAAC,EAAE;IAClBC,OAAO,CAACC,GAAG,CAAC,cAAc,CAAC;AAC/B';
+
+    expect(mappings.encode(mappings.decode(encoded))).toEqual(encoded);
+    expect(mappings.encode([[[0]], []])).toEqual('A;');
+    done();
+  });
+});
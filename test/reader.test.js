@@ -0,0 +1,71 @@
+'use strict';
+
+var expect = require('expect');
+var path = require('path');
+var fs = require('graceful-fs');
+var createReader = require('../src/reader');
+
+describe('reader', function() {
+
+  var readFile = fs.readFile;
+  var reads;
+
+  beforeEach(function(done) {
+    reads = [];
+    fs.readFile = function(filePath) {
+      reads.push(filePath);
+      return readFile.apply(this, arguments);
+    };
+    done();
+  });
+
+  afterEach(function(done) {
+    fs.readFile = readFile;
+    done();
+  });
+
+  it('reads a file once and shares the content', function(done) {
+    var reader = createReader();
+    var filePath = path.join(__dirname, 'assets/test1.js');
+
+    reader.read(filePath, function(err, content) {
+      expect(err).toNotExist();
+      expect(content).toEqual('test1\n');
+
+      reader.read(filePath, function(err, content) {
+        expect(content).toEqual('test1\n');
+        expect(reads).toEqual([filePath]);
+        done();
+      });
+    });
+    reader.read(filePath, function(err, content) {
+      expect(content).toEqual('test1\n');
+    });
+  });
+
+  it('calls back with an error if the file cannot be read', function(done) {
+    var reader = createReader();
+
+    reader.read(path.join(__dirname, 'assets/missingfile'), function(err, content) {
+      expect(err).toExist();
+      expect(content).toEqual(null);
+      done();
+    });
+  });
+
+  it('limits the number of concurrent reads', function(done) {
+    var reader = createReader(1);
+    var first = path.join(__dirname, 'assets/test1.js');
+    var second = path.join(__dirname, 'assets/test2.js');
+
+    reader.read(first, function() {
+      expect(reads).toEqual([first]);
+    });
+    reader.read(second, function(err, content) {
+      expect(content).toEqual('test2\n');
+      expect(reads).toEqual([first, second]);
+      done();
+    });
+    expect(reads).toEqual([first]);
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var path = require('path');
+var miss = require('mississippi');
+var mappings = require('../src/mappings');
+var helpers = require('./test-helpers');
+
+var from = miss.from;
+var pipe = miss.pipe;
+var concat = miss.concat;
+
+var defaultSourceMap = {
+  version: 3,
+  names: [],
+  mappings: mappings.encode([[[0, 0, 0, 0], [4, 1, 0, 4]]]),
+  sources: ['a.ts', 'b.ts'],
+  sourcesContent: ['let a = 1;'],
+};
+
+function makeFile(name, sourceMap) {
+  return helpers.makeFileWithSourceMap(name, 'var a = 1;\nvar b = 2;\n', Object.assign({ file: name }, sourceMap), defaultSourceMap);
+}
+
+describe('report', function() {
+
+  it('should pass the files through and add a JSON report', function(done) {
+    var file = makeFile('a.js');
+
+    function assert(results) {
+      expect(results.length).toEqual(2);
+      expect(results[0]).toBe(file);
+      expect(results[1].path).toEqual(path.join(__dirname, 'assets', 'sourcemaps-report.json'));
+      expect(JSON.parse(results[1].contents.toString())).toEqual({
+        totals: {
+          files: 1,
+          lines: 2,
+          mappedLines: 1,
+          columns: 20,
+          mappedColumns: 10,
+          sources: { 'b.ts': 6, 'a.ts': 4 },
+          coverage: 0.5,
+        },
+        files: [{
+          file: 'a.js',
+          lines: 2,
+          mappedLines: 1,
+          columns: 20,
+          mappedColumns: 10,
+          sources: { 'b.ts': 6, 'a.ts': 4 },
+          missingSourcesContent: ['b.ts'],
+          coverage: 0.5,
+        }],
+      });
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.report(),
+      concat(assert),
+    ], done);
+  });
+
+  it('should write an HTML report', function(done) {
+    function assert(results) {
+      var html = results[2].contents.toString();
+      expect(results[2].relative).toEqual(path.join('reports', 'sourcemaps.html'));
+      expect(html).toInclude('<td>a&#60;1&#62;.js</td><td>1 / 2</td><td>10 / 20</td><td>50.0%</td><td>b.ts</td>');
+      expect(html).toInclude('<td>b.js</td><td>Invalid character &#34;!&#34; in mappings</td>');
+      expect(html).toInclude('<td>b.ts</td><td>6</td>');
+    }
+
+    pipe([
+      from.obj([makeFile('a<1>.js'), makeFile('b.js', { mappings: '!' })]),
+      sourcemaps.report({ path: 'reports/sourcemaps.html' }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should not add a report without source maps', function(done) {
+    var file = makeFile('a.js');
+    delete file.sourceMap;
+
+    function assert(results) {
+      expect(results).toEqual([file]);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.report(),
+      concat(assert),
+    ], done);
+  });
+});
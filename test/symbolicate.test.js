@@ -0,0 +1,172 @@
+'use strict';
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var path = require('path');
+var fs = require('fs');
+var execFile = require('child_process').execFile;
+var gulp = require('gulp');
+var rimraf = require('rimraf');
+var miss = require('mississippi');
+
+var pipe = miss.pipe;
+
+var tmpDir = path.join(__dirname, '../tmp/symbolicate');
+var bin = path.join(__dirname, '../bin/sourcemaps-symbolicate.js');
+
+// calls back with the exit code, stdout and stderr of the command line tool
+function runBin(args, stdin, callback) {
+  var child = execFile(process.execPath, [bin].concat(args), function(err, stdout, stderr) {
+    callback(err ? err.code : 0, stdout, stderr);
+  });
+  child.stdin.end(stdin);
+}
+
+describe('symbolicate', function() {
+
+  after(function(cb) {
+    rimraf(tmpDir, cb);
+  });
+
+  it('should map the frames with the map of the sourceMappingURL comment', function(done) {
+    var stack = 'Error: boom\n    at compute (http://localhost:8080/test5.js:1:5)\n    at Object.<anonymous> (other.js:3:1)\n';
+
+    sourcemaps.symbolicate(stack, { dir: path.join(__dirname, 'assets') }, function(err, result) {
+      expect(err).toNotExist();
+      expect(result.stack).toEqual('Error: boom\n    at answer (test5.ts:1:5)\n    at Object.<anonymous> (other.js:3:1)\n');
+      expect(result.frames).toEqual([{
+        file: 'http://localhost:8080/test5.js',
+        line: 1,
+        column: 5,
+        name: 'compute',
+        original: { source: 'test5.ts', line: 1, column: 5, name: 'answer' },
+      }, {
+        file: 'other.js',
+        line: 3,
+        column: 1,
+        name: 'Object.<anonymous>',
+        original: null,
+      }]);
+      done();
+    });
+  });
+
+  it('should find hidden maps with the manifest', function(done) {
+    pipe([
+      gulp.src('assets/test5.js', { cwd: __dirname }),
+      sourcemaps.init({ loadMaps: true }),
+      sourcemaps.write('maps', { hidden: true }),
+      gulp.dest(tmpDir),
+    ], function(err) {
+      expect(err).toNotExist();
+
+      var options = { dir: tmpDir, manifest: path.join(tmpDir, 'maps/sourcemaps-manifest.json') };
+      sourcemaps.symbolicate('compute@https://example.com/test5.js:1:11', options, function(err, result) {
+        expect(err).toNotExist();
+        expect(result.stack).toEqual('compute@test5.ts:1:19');
+        done();
+      });
+    });
+  });
+
+  it('should use inline maps', function(done) {
+    pipe([
+      gulp.src('assets/test5.js', { cwd: __dirname }),
+      sourcemaps.init({ loadMaps: true }),
+      sourcemaps.write(),
+      gulp.dest(path.join(tmpDir, 'inline')),
+    ], function(err) {
+      expect(err).toNotExist();
+
+      sourcemaps.symbolicate('    at ' + path.join(tmpDir, 'inline/test5.js') + ':1:5', function(err, result) {
+        expect(err).toNotExist();
+        expect(result.stack).toEqual('    at answer (test5.ts:1:5)');
+        done();
+      });
+    });
+  });
+
+  it('should call back with an error if the manifest is missing', function(done) {
+    sourcemaps.symbolicate('', { manifest: path.join(tmpDir, 'missing.json') }, function(err) {
+      expect(err instanceof Error).toEqual(true);
+      expect(err.message).toMatch(/^gulp-sourcemaps-symbolicate: Unable to read the manifest/);
+      done();
+    });
+  });
+
+  describe('command line tool', function() {
+    var cliDir = path.join(tmpDir, 'cli');
+
+    this.timeout(10000);
+
+    before(function(done) {
+      pipe([
+        gulp.src('assets/test5.js', { cwd: __dirname }),
+        sourcemaps.init({ loadMaps: true }),
+        sourcemaps.write('maps', { hidden: true }),
+        gulp.dest(cliDir),
+      ], done);
+    });
+
+    it('should map a stack trace read from stdin', function(done) {
+      runBin(['--dir', path.join(__dirname, 'assets')], '    at compute (test5.js:1:5)\n', function(code, stdout, stderr) {
+        expect(code).toEqual(0);
+        expect(stderr).toEqual('');
+        expect(stdout).toEqual('    at answer (test5.ts:1:5)\n');
+        done();
+      });
+    });
+
+    it('should map a stack trace read from a file with the manifest and print JSON', function(done) {
+      var stackFile = path.join(cliDir, 'stack.txt');
+      fs.writeFileSync(stackFile, 'compute@https://example.com/test5.js:1:11');
+
+      var args = ['--dir', cliDir, '--manifest', path.join(cliDir, 'maps/sourcemaps-manifest.json'), '--json', stackFile];
+      runBin(args, '', function(code, stdout) {
+        expect(code).toEqual(0);
+        expect(JSON.parse(stdout)).toEqual([{
+          file: 'https://example.com/test5.js',
+          line: 1,
+          column: 11,
+          name: 'compute',
+          original: { source: 'test5.ts', line: 1, column: 19, name: null },
+        }]);
+        done();
+      });
+    });
+
+    it('should print the usage with --help', function(done) {
+      runBin(['--help'], '', function(code, stdout) {
+        expect(code).toEqual(0);
+        expect(stdout).toMatch(/^Usage: sourcemaps-symbolicate/);
+        done();
+      });
+    });
+
+    it('should exit with 1 on an invalid argument', function(done) {
+      runBin(['--bogus'], '', function(code, stdout, stderr) {
+        expect(code).toEqual(1);
+        expect(stdout).toEqual('');
+        expect(stderr).toMatch(/^Invalid argument: --bogus\n\nUsage: sourcemaps-symbolicate/);
+        done();
+      });
+    });
+
+    it('should exit with 1 if the manifest is missing', function(done) {
+      runBin(['--manifest', path.join(cliDir, 'missing.json')], '', function(code, stdout, stderr) {
+        expect(code).toEqual(1);
+        expect(stdout).toEqual('');
+        expect(stderr).toMatch(/^gulp-sourcemaps-symbolicate: Unable to read the manifest/);
+        done();
+      });
+    });
+
+    it('should exit with 1 if the stack trace file is missing', function(done) {
+      runBin([path.join(cliDir, 'missing.txt')], '', function(code, stdout, stderr) {
+        expect(code).toEqual(1);
+        expect(stderr).toMatch(/ENOENT/);
+        done();
+      });
+    });
+  });
+});
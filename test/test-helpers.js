@@ -36,12 +36,18 @@ function makeNullFile() {
   });
 }
 
-function makeStreamFile() {
+function makeStreamFile(contents) {
+  var stream = new ReadableStream();
+  stream._read = function() {
+    this.push(contents === undefined ? sourceContent : contents);
+    this.push(null);
+  };
+
   return new File({
     cwd: __dirname,
     base: path.join(__dirname, 'assets'),
     path: path.join(__dirname, 'assets', 'helloworld.js'),
-    contents: new ReadableStream(),
+    contents: stream,
   });
 }
 
@@ -65,6 +71,23 @@ function makeFileCSS() {
   });
 }
 
+/*
+A file in the assets named `name` with the `contents` and the `sourceMap`,
+over the properties of `defaults`. The file has no source map without both.
+*/
+function makeFileWithSourceMap(name, contents, sourceMap, defaults) {
+  var file = new File({
+    cwd: __dirname,
+    base: path.join(__dirname, 'assets'),
+    path: path.join(__dirname, 'assets', name),
+    contents: Buffer.from ? Buffer.from(contents) : new Buffer(contents),
+  });
+  if (sourceMap || defaults) {
+    file.sourceMap = Object.assign({}, defaults, sourceMap);
+  }
+  return file;
+}
+
 module.exports = {
   sourceContent: sourceContent,
   sourceContentCSS: sourceContentCSS,
@@ -73,4 +96,5 @@ module.exports = {
   makeNullFile: makeNullFile,
   makeStreamFile: makeStreamFile,
   makeFileWithInlineSourceMap: makeFileWithInlineSourceMap,
+  makeFileWithSourceMap: makeFileWithSourceMap,
 };
@@ -0,0 +1,77 @@
+'use strict';
+
+/* global Promise */
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var File = require('vinyl');
+var path = require('path');
+var miss = require('mississippi');
+
+var from = miss.from;
+var pipe = miss.pipe;
+var concat = miss.concat;
+
+function makeFile() {
+  return new File({
+    cwd: __dirname,
+    base: path.join(__dirname, 'assets'),
+    path: path.join(__dirname, 'assets', 'a.js'),
+    contents: new Buffer('var a = 1;'),
+  });
+}
+
+describe('transform', function() {
+
+  it('should transform the files and apply the source map', function(done) {
+    function minify(content, file) {
+      expect(content).toEqual('var a = 1;');
+      return {
+        code: 'a=1',
+        map: { version: 3, file: file.relative, names: ['a'], mappings: 'AAAIA', sources: [file.relative] },
+      };
+    }
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.contents.toString()).toEqual('a=1');
+      expect(data.sourceMap.mappings).toEqual('AAAIA');
+      expect(data.sourceMap.sourcesContent).toEqual(['var a = 1;']);
+    }
+
+    pipe([
+      from.obj([makeFile()]),
+      sourcemaps.init(),
+      sourcemaps.transform(minify),
+      concat(assert),
+    ], done);
+  });
+
+  it('should accept a promise of the content', function(done) {
+    function assert(results) {
+      expect(results[0].contents.toString()).toEqual('var b = 1;');
+      expect(results[0].sourceMap).toNotExist();
+    }
+
+    pipe([
+      from.obj([makeFile()]),
+      sourcemaps.transform(function(content) {
+        return Promise.resolve(content.replace('a =', 'b ='));
+      }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should emit an error if the transform fails', function(done) {
+    pipe([
+      from.obj([makeFile()]),
+      sourcemaps.transform(function() {
+        throw new Error('syntax error');
+      }),
+    ], function(err) {
+      expect(err instanceof Error).toEqual(true);
+      expect(err.message).toEqual('gulp-sourcemaps-transform: a.js: syntax error');
+      done();
+    });
+  });
+});
@@ -21,6 +21,39 @@ describe('utils', function() {
     done();
   });
 
+  it('getTrailingComment: finds the comment on the last line', function(done) {
+    expect(utils.getTrailingComment('a();\n//# sourceMappingURL=a.js.map\n\n')).toEqual({
+      comment: '//# sourceMappingURL=a.js.map',
+      url: 'a.js.map',
+      index: 5,
+    });
+    expect(utils.getTrailingComment('a();\r\n//@ sourceMappingURL=a.js.map').url).toEqual('a.js.map');
+    expect(utils.getTrailingComment('a {}\n/*# sourceMappingURL=a.css.map */').url).toEqual('a.css.map');
+    expect(utils.getTrailingComment('a {}\n/*@ sourceMappingURL=a.css.map */').url).toEqual('a.css.map');
+    expect(utils.getTrailingComment('<p></p>\n<!--# sourceMappingURL=a.html.map -->').url).toEqual('a.html.map');
+    done();
+  });
+
+  it('getTrailingComment: ignores comments which are not at the end', function(done) {
+    expect(utils.getTrailingComment('//# sourceMappingURL=a.js.map\na();\n')).toEqual(null);
+    expect(utils.getTrailingComment('var a = "\\n//# sourceMappingURL=a.js.map";\n')).toEqual(null);
+    expect(utils.getTrailingComment('a(); //# sourceMappingURL=a.js.map')).toEqual(null);
+    expect(utils.getTrailingComment('')).toEqual(null);
+    done();
+  });
+
+  it('getTrailingCommentOfBuffer: finds the comment on the last line with its byte offset', function(done) {
+    expect(utils.getTrailingCommentOfBuffer(new Buffer('ä();\r\n//# sourceMappingURL=a.js.map\n\n'))).toEqual({
+      comment: '//# sourceMappingURL=a.js.map',
+      url: 'a.js.map',
+      index: 7,
+    });
+    expect(utils.getTrailingCommentOfBuffer(new Buffer('//# sourceMappingURL=a.js.map')).index).toEqual(0);
+    expect(utils.getTrailingCommentOfBuffer(new Buffer('//# sourceMappingURL=a.js.map\na();\n'))).toEqual(null);
+    expect(utils.getTrailingCommentOfBuffer(new Buffer(''))).toEqual(null);
+    done();
+  });
+
   it('getCommentFormatter: gets a commenter with invalid extension', function(done) {
     var commenter = utils.getCommentFormatter({
       relative: 'some.junk',
@@ -31,4 +64,77 @@ describe('utils', function() {
     expect(commenter).toExist();
     done();
   });
+
+  it('getCommentFormatter: gets the commenter of the file type', function(done) {
+    function format(relative) {
+      return utils.getCommentFormatter({
+        relative: relative,
+        contents: 'content\n',
+        sourceMap: {},
+      })('file.map');
+    }
+
+    expect(format('some.mjs')).toEqual('\n//# sourceMappingURL=file.map\n');
+    expect(format('some.scss')).toEqual('\n/*# sourceMappingURL=file.map */\n');
+    expect(format('some.html')).toEqual('\n<!--# sourceMappingURL=file.map -->\n');
+    expect(format('some.junk')).toEqual('');
+    done();
+  });
+
+  it('registerCommentFormatter: registers a commenter by extension or predicate', function(done) {
+    function format(relative) {
+      return utils.getCommentFormatter({
+        relative: relative,
+        contents: 'content',
+        sourceMap: { preExistingComment: true },
+      })('file.map');
+    }
+
+    var unregisterCoffee = utils.registerCommentFormatter('.coffee', function(preLine, newline, url) {
+      return preLine + '# sourceMappingURL=' + url + newline;
+    });
+    var unregisterVendor = utils.registerCommentFormatter(function(file) {
+      return file.relative.indexOf('vendor/') === 0;
+    }, function() {
+      return '';
+    });
+
+    try {
+      expect(format('some.coffee')).toEqual('# sourceMappingURL=file.map\n');
+      expect(format('vendor/some.js')).toEqual('');
+      expect(format('some.js')).toEqual('//# sourceMappingURL=file.map\n');
+      expect(function() {
+        utils.registerCommentFormatter('.coffee');
+      }).toThrow('A comment formatter must be a function');
+    } finally {
+      unregisterCoffee();
+      unregisterVendor();
+    }
+
+    expect(format('some.coffee')).toEqual('');
+    expect(format('vendor/some.js')).toEqual('//# sourceMappingURL=file.map\n');
+    done();
+  });
+
+  it('registerCommentFormatter: restores the formatter it replaced on unregister', function(done) {
+    function format(relative) {
+      return utils.getCommentFormatter({
+        relative: relative,
+        contents: 'content',
+        sourceMap: { preExistingComment: true },
+      })('file.map');
+    }
+
+    var unregister = utils.registerCommentFormatter('js', function() {
+      return '';
+    });
+    try {
+      expect(format('some.js')).toEqual('');
+    } finally {
+      unregister();
+    }
+
+    expect(format('some.js')).toEqual('//# sourceMappingURL=file.map\n');
+    done();
+  });
 });
@@ -0,0 +1,213 @@
+'use strict';
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var miss = require('mississippi');
+var helpers = require('./test-helpers');
+
+var from = miss.from;
+var pipe = miss.pipe;
+var concat = miss.concat;
+
+var contents = 'var a = 1;\nvar b = 2;\n';
+
+var defaultSourceMap = {
+  version: 3,
+  file: 'validate.js',
+  names: ['a', 'b'],
+  mappings: 'AAAA,IAAIA;AACJ,IAAIC',
+  sources: ['validate.js'],
+  sourcesContent: [contents],
+};
+
+function makeFile(sourceMap) {
+  return helpers.makeFileWithSourceMap('validate.js', contents, sourceMap, defaultSourceMap);
+}
+
+describe('validate', function() {
+
+  it('should pass through a valid source map', function(done) {
+    var file = makeFile();
+    var reported = [];
+
+    function reporter(file, problems) {
+      reported.push(problems);
+    }
+
+    function assert(results) {
+      expect(results[0]).toBe(file);
+      expect(reported).toEqual([]);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate({ reporter: reporter }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should pass through files without source map', function(done) {
+    var file = makeFile();
+    delete file.sourceMap;
+
+    function assert(results) {
+      expect(results[0]).toBe(file);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate(),
+      concat(assert),
+    ], done);
+  });
+
+  it('should emit an error for mappings out of the generated bounds', function(done) {
+    var file = makeFile({ mappings: 'AAAA,oBAAoB;;;AAAA' });
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate(),
+      concat(),
+    ], function(err) {
+      expect(err).toExist();
+      expect(err.message).toMatch(/^gulp-sourcemaps-validate: validate\.js: mapping at 1:20 is out of bounds/);
+      expect(err.message).toMatch(/\(and 1 more\)$/);
+      done();
+    });
+  });
+
+  it('should report source and name indexes out of range', function(done) {
+    var file = makeFile({ mappings: 'AAAA,ICAIA;ADCJ,IAAIE' });
+    var reported;
+
+    function reporter(file, problems) {
+      reported = problems;
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate({ reporter: reporter }),
+      concat(),
+    ], function(err) {
+      expect(err).toExist();
+      expect(reported.map(function(problem) {
+        return problem.rule + ' ' + problem.severity + ' ' + problem.line + ':' + problem.column;
+      })).toEqual(['source error 1:4', 'name error 2:4']);
+      done();
+    });
+  });
+
+  it('should only warn about unaligned sourcesContent by default', function(done) {
+    var file = makeFile({ sourcesContent: [] });
+    var reported;
+
+    function reporter(file, problems) {
+      reported = problems;
+    }
+
+    function assert(results) {
+      expect(results[0]).toBe(file);
+      expect(reported.length).toEqual(1);
+      expect(reported[0].rule).toEqual('sourcesContent');
+      expect(reported[0].severity).toEqual('warn');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate({ reporter: reporter }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should allow to configure the severity', function(done) {
+    var file = makeFile({ mappings: 'AAAA,!' });
+    var reported;
+
+    function reporter(file, problems) {
+      reported = problems;
+    }
+
+    function assert(results) {
+      expect(results[0]).toBe(file);
+      expect(reported[0].rule).toEqual('mappings');
+      expect(reported[0].severity).toEqual('warn');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate({ severity: { mappings: 'warn' }, reporter: reporter }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should not report problems of rules which are off', function(done) {
+    var file = makeFile({ sourcesContent: [], mappings: 'AAAA,ICAIA' });
+    var reported = [];
+
+    function reporter(file, problems) {
+      reported.push(problems);
+    }
+
+    function assert(results) {
+      expect(results[0]).toBe(file);
+      expect(reported).toEqual([]);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate({ severity: 'off', reporter: reporter }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should emit the warnings as warning events without a reporter', function(done) {
+    var file = makeFile({ sourcesContent: [] });
+    var warned = [];
+    var stream = sourcemaps.validate();
+
+    stream.on('warning', function(file, problems) {
+      warned.push({ file: file, problems: problems });
+    });
+
+    function assert(results) {
+      expect(results[0]).toBe(file);
+      expect(warned.length).toEqual(1);
+      expect(warned[0].file).toBe(file);
+      expect(warned[0].problems[0].rule).toEqual('sourcesContent');
+      expect(warned[0].problems[0].severity).toEqual('warn');
+    }
+
+    pipe([
+      from.obj([file]),
+      stream,
+      concat(assert),
+    ], done);
+  });
+
+  it('should emit process warnings without a reporter or warning listener', function(done) {
+    var file = makeFile({ sourcesContent: [] });
+    var spy = expect.spyOn(process, 'emitWarning');
+
+    function assert(results) {
+      expect(results[0]).toBe(file);
+      expect(spy.calls.length).toEqual(1);
+      expect(spy.calls[0].arguments).toEqual(['validate.js: 0 sourcesContent for 1 sources', 'gulp-sourcemaps-validate']);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.validate(),
+      concat(assert),
+    ], function(err) {
+      expect.restoreSpies();
+      done(err);
+    });
+  });
+
+  it('should throw on an invalid severity', function(done) {
+    expect(function() {
+      sourcemaps.validate({ severity: { name: 'fatal' } });
+    }).toThrow(/Invalid severity "fatal" for name/);
+    done();
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+var expect = require('expect');
+var sourcemaps = require('..');
+var path = require('path');
+var miss = require('mississippi');
+var mappings = require('../src/mappings');
+var helpers = require('./test-helpers');
+
+var from = miss.from;
+var pipe = miss.pipe;
+var concat = miss.concat;
+
+var defaultSourceMap = {
+  version: 3,
+  file: 'a.js',
+  names: ['a'],
+  mappings: mappings.encode([[[0, 0, 0, 0], [4, 0, 0, 4, 0], [5], [8, 1, 1, 2]]]),
+  sources: ['a.ts', 'b.ts'],
+  sourcesContent: ['let a = 1 < 2;'],
+};
+
+function makeFile(sourceMap) {
+  return helpers.makeFileWithSourceMap('a.js', 'var a = 1 < 2;\n', sourceMap, defaultSourceMap);
+}
+
+describe('visualize', function() {
+
+  it('should pass the files through and add a page per file', function(done) {
+    var file = makeFile();
+
+    function assert(results) {
+      expect(results.length).toEqual(2);
+      expect(results[0]).toBe(file);
+      expect(results[1].path).toEqual(path.join(__dirname, 'assets', 'a.js.sourcemap.html'));
+      expect(results[1].sourceMap).toNotExist();
+
+      var html = results[1].contents.toString();
+      expect(html).toInclude('<h1>a.js: 3 mappings to 2 sources</h1>');
+      // the generated line, the unmapped segment is not a span
+      expect(html).toInclude(
+        '<span class="l"><span class="m" data-m="0" title="a.ts:1:1">var </span>' +
+        '<span class="m o" data-m="1" title="a.ts:1:5 a">a</span> = ' +
+        '<span class="m" data-m="2" title="b.ts:2:3">1 &#60; 2;</span></span>'
+      );
+      // the original line
+      expect(html).toInclude(
+        '<span class="l"><span class="m" data-m="0" title="generated 1:1">let </span>' +
+        '<span class="m o" data-m="1" title="generated 1:5">a = 1 &#60; 2;</span></span>'
+      );
+      expect(html).toInclude('<h2>b.ts</h2>\n<p class="missing">No sourcesContent for this source</p>');
+      done();
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.visualize(),
+      concat(assert),
+    ]);
+  });
+
+  it('should list all generated positions of an original position', function(done) {
+    var file = makeFile({ mappings: mappings.encode([[[0, 0, 0, 0], [4, 0, 0, 0]]]) });
+
+    function assert(results) {
+      expect(results[1].contents.toString()).toInclude('data-m="0 1" title="generated 1:1, 1:5"');
+      done();
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.visualize(),
+      concat(assert),
+    ]);
+  });
+
+  it('should use the suffix option', function(done) {
+    function assert(results) {
+      expect(results[1].path).toEqual(path.join(__dirname, 'assets', 'a.js.html'));
+      done();
+    }
+
+    pipe([
+      from.obj([makeFile()]),
+      sourcemaps.visualize({ suffix: '.html' }),
+      concat(assert),
+    ]);
+  });
+
+  it('should pass files without a source map through', function(done) {
+    var file = makeFile();
+    delete file.sourceMap;
+
+    function assert(results) {
+      expect(results).toEqual([file]);
+      done();
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.visualize(),
+      concat(assert),
+    ]);
+  });
+
+  it('should emit an error for invalid mappings', function(done) {
+    pipe([
+      from.obj([makeFile({ mappings: '!' })]),
+      sourcemaps.visualize(),
+      concat(function() {}),
+    ], function(err) {
+      expect(err.message).toMatch(/^gulp-sourcemaps-visualize: a\.js: /);
+      done();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+var expect = require('expect');
+var createWorkerPool = require('../src/worker-pool');
+var identityMap = require('../src/init/identity-map');
+
+describe('worker pool', function() {
+
+  var pool;
+
+  beforeEach(function() {
+    pool = createWorkerPool(2);
+  });
+
+  afterEach(function() {
+    pool.close();
+  });
+
+  it('should run the tasks in workers', function(done) {
+    pool.run('base64', ['hello'], function(err, result) {
+      expect(err).toNotExist();
+      expect(result).toEqual('aGVsbG8=');
+      done();
+    });
+  });
+
+  it('should generate the same identity maps as the main thread', function(done) {
+    var content = 'var a = 1;\nfunction b() {}\n';
+
+    pool.run('identityMap', ['.js', 'a.js', content], function(err, result) {
+      expect(err).toNotExist();
+      expect(result).toEqual(identityMap.generate('.js', 'a.js', content));
+      done();
+    });
+  });
+
+  it('should run more tasks than workers', function(done) {
+    var results = [];
+
+    ['a', 'b', 'c', 'd', 'e'].forEach(function(text, i, texts) {
+      pool.run('base64', [text], function(err, result) {
+        expect(err).toNotExist();
+        results[i] = result;
+        if (results.filter(Boolean).length === texts.length) {
+          expect(results).toEqual(['YQ==', 'Yg==', 'Yw==', 'ZA==', 'ZQ==']);
+          done();
+        }
+      });
+    });
+  });
+
+  it('should call back with the errors of the tasks', function(done) {
+    pool.run('unknown', [], function(err) {
+      expect(err instanceof Error).toEqual(true);
+      done();
+    });
+  });
+
+  it('should use one less worker than CPUs with true', function(done) {
+    expect(createWorkerPool(true).size).toEqual(Math.max(1, require('os').cpus().length - 1));
+    done();
+  });
+});
@@ -6,6 +6,7 @@ var File = require('vinyl');
 var ReadableStream = require('stream').Readable;
 var path = require('path');
 var fs = require('fs');
+var crypto = require('crypto');
 var hookStd = require('hook-std');
 var debug = require('debug-fabulous')();
 var miss = require('mississippi');
@@ -23,8 +24,10 @@ if (!ignoreLogTests) {
 var assign = require('object-assign');
 var utils = require('../src/utils');
 var convert = require('convert-source-map');
+var mappings = require('../src/mappings');
 
 var sourceContent = fs.readFileSync(path.join(__dirname, 'assets/helloworld.js')).toString();
+var sourceContent2 = fs.readFileSync(path.join(__dirname, 'assets/helloworld2.js')).toString();
 var mappedContent = fs.readFileSync(path.join(__dirname, 'assets/helloworld.map.js')).toString();
 
 function makeSourceMap(custom) {
@@ -82,13 +85,19 @@ function makeNestedFile() {
 }
 
 function makeStreamFile() {
+  var stream = new ReadableStream();
+  stream._read = function() {
+    this.push(sourceContent);
+    this.push(null);
+  };
+
   var file = new File({
     cwd: __dirname,
     base: path.join(__dirname, 'assets'),
     path: path.join(__dirname, 'assets', 'helloworld.js'),
-    contents: new ReadableStream(),
+    contents: stream,
   });
-  file.sourceMap = {};
+  file.sourceMap = makeSourceMap();
   return file;
 }
 
@@ -131,16 +140,59 @@ describe('write', function() {
     ], done);
   });
 
-  it('should emit an error if file content is a stream', function(done) {
+  it('should write an inline source map to a file with stream contents', function(done) {
     var file = makeStreamFile();
 
+    function assert(results) {
+      var data = results[0];
+      expect(data).toBe(file);
+      expect(data.isStream()).toEqual(true);
+
+      pipe([
+        data.contents,
+        concat(function(contents) {
+          expect(contents.toString()).toEqual(sourceContent + '\n//# sourceMappingURL=' + base64JSON(data.sourceMap) + '\n');
+        }),
+      ], done);
+    }
+
     pipe([
       from.obj([file]),
       sourcemaps.write(),
-      concat(),
+      concat(assert),
+    ], function(err) {
+      if (err) {
+        done(err);
+      }
+    });
+  });
+
+  it('should write an external map file for a file with stream contents', function(done) {
+    var file = makeStreamFile();
+
+    function assert(results) {
+      var sourceMap = results[0];
+      var data = results[1];
+      expect(sourceMap.isBuffer()).toEqual(true);
+      expect(sourceMap.path).toEqual(path.join(__dirname, 'maps/helloworld.js.map'));
+      expect(sourceMap.contents.toString()).toEqual(JSON.stringify(data.sourceMap));
+
+      pipe([
+        data.contents,
+        concat(function(contents) {
+          expect(contents.toString()).toEqual(sourceContent + '\n//# sourceMappingURL=../maps/helloworld.js.map\n');
+        }),
+      ], done);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write('../maps'),
+      concat(assert),
     ], function(err) {
-      expect(err).toExist();
-      done();
+      if (err) {
+        done(err);
+      }
     });
   });
 
@@ -162,6 +214,42 @@ describe('write', function() {
     ], done);
   });
 
+  it('should encode inline source maps in worker threads with option workers', function(done) {
+    var files = [makeFile(), makeNestedFile(), makeMappedFile()];
+
+    function assert(results) {
+      expect(results).toEqual(files);
+      results.forEach(function(data) {
+        expect(data.contents.toString()).toInclude('\n//# sourceMappingURL=' + base64JSON(data.sourceMap) + '\n');
+      });
+    }
+
+    pipe([
+      from.obj(files),
+      sourcemaps.write({ workers: 2 }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should keep the order of files and map files with option workers', function(done) {
+    function assert(results) {
+      expect(results.map(function(file) {
+        return file.relative;
+      })).toEqual([
+        path.join('maps', 'helloworld.js.map'),
+        'helloworld.js',
+        path.join('maps', 'dir1', 'dir2', 'helloworld.js.map'),
+        path.join('dir1', 'dir2', 'helloworld.js'),
+      ]);
+    }
+
+    pipe([
+      from.obj([makeFile(), makeNestedFile()]),
+      sourcemaps.write('maps', { workers: 2 }),
+      concat(assert),
+    ], done);
+  });
+
   it('should use CSS comments if CSS file', function(done) {
     var file = makeFile();
     file.path = file.path.replace('.js', '.css');
@@ -228,6 +316,49 @@ describe('write', function() {
     ], done);
   });
 
+  it('should replace an existing comment', function(done) {
+    var file = makeMappedFile();
+    delete file.sourceMap.preExistingComment;
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.preExistingComment).toNotExist();
+      expect(data.contents.toString()).toEqual(sourceContent + '\n//# sourceMappingURL=' + base64JSON(data.sourceMap) + '\n');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write(),
+      concat(assert),
+    ], done);
+  });
+
+  it('should replace an existing comment after the debug ID', function(done) {
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'helloworld.js'),
+      contents: new Buffer(sourceContent + '//# sourceMappingURL=old.js.map\n'),
+    });
+
+    function assert(results) {
+      var data = results[1];
+      var contents = data.contents.toString();
+      expect(contents).toNotInclude('old.js.map');
+      var lines = contents.split('\n');
+      expect(lines[lines.length - 3]).toEqual('//# debugId=' + data.sourceMap.debugId);
+      expect(lines[lines.length - 2]).toEqual('//# sourceMappingURL=helloworld.js.map');
+      expect(JSON.parse(results[0].contents.toString()).preExistingComment).toNotExist();
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init(),
+      sourcemaps.write('.', { debugId: true }),
+      concat(assert),
+    ], done);
+  });
+
   it('should write external map files', function(done) {
     var file = makeFile();
 
@@ -336,6 +467,236 @@ describe('write', function() {
     ], done);
   });
 
+  it('should write hidden map files and a manifest with option hidden', function(done) {
+    var file = makeFile();
+
+    function assert(results) {
+      expect(results.length).toEqual(3);
+      var sourceMap = results[0];
+      var data = results[1];
+      var manifest = results[2];
+      expect(sourceMap.path).toEqual(path.join(__dirname, 'private/maps/helloworld.js.map'));
+      expect(data.contents.toString()).toEqual(sourceContent);
+      expect(manifest.path).toEqual(path.join(__dirname, 'private/maps/sourcemaps-manifest.json'));
+      expect(JSON.parse(manifest.contents.toString())).toEqual({
+        'helloworld.js': {
+          file: 'helloworld.js',
+          hash: crypto.createHash('sha256').update(sourceContent).digest('hex'),
+          map: '../private/maps/helloworld.js.map',
+        },
+      });
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write('../private/maps', { hidden: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should throw if option hidden is used without destination path', function(done) {
+    expect(function() {
+      sourcemaps.write({ hidden: true });
+    }).toThrow(/hidden option requires a destination path/);
+    done();
+  });
+
+  it('should write a manifest of all files with option manifest', function(done) {
+    var file = makeFile();
+    var nestedFile = makeNestedFile();
+
+    function assert(results) {
+      expect(results.length).toEqual(3);
+      var data = results[1];
+      var manifest = results[2];
+      expect(manifest.path).toEqual(path.join(__dirname, 'assets/manifest.json'));
+      expect(JSON.parse(manifest.contents.toString())).toEqual({
+        'dir1/dir2/helloworld.js': {
+          file: 'dir1/dir2/helloworld.js',
+          hash: crypto.createHash('sha256').update(data.contents).digest('hex'),
+          map: null,
+        },
+        'helloworld.js': {
+          file: 'helloworld.js',
+          hash: crypto.createHash('sha256').update(results[0].contents).digest('hex'),
+          map: null,
+        },
+      });
+    }
+
+    pipe([
+      from.obj([file, nestedFile]),
+      sourcemaps.write({ manifest: 'manifest.json' }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should add a hash to the names of files and maps with option revision', function(done) {
+    var file = makeFile();
+
+    function assert(results) {
+      expect(results.length).toEqual(3);
+      var mapFile = results[0];
+      var data = results[1];
+      var manifest = results[2];
+      var hash = /^helloworld\.([0-9a-f]{8})\.js$/.exec(data.relative)[1];
+      expect(mapFile.path).toEqual(path.join(__dirname, 'assets/maps/helloworld.' + hash + '.js.map'));
+      expect(data.contents.toString()).toEqual(sourceContent + '\n//# sourceMappingURL=maps/helloworld.' + hash + '.js.map\n');
+      expect(JSON.parse(mapFile.contents.toString()).file).toEqual('../helloworld.' + hash + '.js');
+      expect(manifest.path).toEqual(path.join(__dirname, 'assets/maps/sourcemaps-manifest.json'));
+      expect(JSON.parse(manifest.contents.toString())).toEqual({
+        'helloworld.js': {
+          file: 'helloworld.' + hash + '.js',
+          hash: crypto.createHash('sha256').update(data.contents).digest('hex'),
+          map: 'maps/helloworld.' + hash + '.js.map',
+        },
+      });
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write('maps', {
+        revision: { length: 8 },
+        mapFile: function(mapFile, file) {
+          expect(mapFile).toEqual(path.join('maps', file.relative) + '.map');
+          return mapFile;
+        },
+      }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should inject a debug ID with option debugId', function(done) {
+    var file = makeFile();
+
+    function assert(results) {
+      var data = results[0];
+      var debugId = data.sourceMap.debugId;
+      expect(debugId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+      var lines = data.contents.toString().split('\n');
+      expect(lines.slice(0, -4).join('\n') + '\n').toEqual(sourceContent);
+      expect(lines[lines.length - 4]).toContain('e._debugIds[n]="' + debugId + '"');
+      expect(lines[lines.length - 3]).toEqual('//# debugId=' + debugId);
+      expect(lines[lines.length - 2]).toEqual('//# sourceMappingURL=' + base64JSON(data.sourceMap));
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write({ debugId: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should put the debug ID and the comment on their own lines after init loaded a map', function(done) {
+    var file = new File({
+      cwd: __dirname,
+      base: path.join(__dirname, 'assets'),
+      path: path.join(__dirname, 'assets', 'helloworld.js'),
+      contents: new Buffer(sourceContent + '//# sourceMappingURL=helloworld.js.map\n'),
+    });
+
+    function assert(results) {
+      var data = results[1];
+      var debugId = data.sourceMap.debugId;
+      var lines = data.contents.toString().split('\n');
+      expect(lines[lines.length - 3]).toEqual('//# debugId=' + debugId);
+      expect(lines[lines.length - 2]).toEqual('//# sourceMappingURL=helloworld.js.map');
+      expect(lines[lines.length - 1]).toEqual('');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.init({ loadMaps: true }),
+      sourcemaps.write('.', { debugId: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should derive the debug ID from the content', function(done) {
+    var files = [makeFile(), makeFile(), makeFile()];
+    files[2].contents = new Buffer(sourceContent + '// changed\n');
+
+    function assert(results) {
+      var sourceMaps = results.filter(function(result) {
+        return /\.map$/.test(result.path);
+      }).map(function(result) {
+        return JSON.parse(result.contents.toString());
+      });
+      expect(sourceMaps.length).toEqual(3);
+      expect(sourceMaps[0].debugId).toExist();
+      expect(sourceMaps[1].debugId).toEqual(sourceMaps[0].debugId);
+      expect(sourceMaps[2].debugId).toNotEqual(sourceMaps[0].debugId);
+    }
+
+    pipe([
+      from.obj(files),
+      sourcemaps.write('../maps', { debugId: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should only add the debug ID to the map of non JS files', function(done) {
+    var file = makeFile();
+    file.path = file.path.replace('.js', '.css');
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.debugId).toExist();
+      expect(data.contents.toString()).toEqual(sourceContent + '\n/*# sourceMappingURL=' + base64JSON(data.sourceMap) + ' */\n');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write({ debugId: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should write a _headers file with option headers', function(done) {
+    var file = makeFile();
+    var nestedFile = makeNestedFile();
+
+    function assert(results) {
+      expect(results.length).toEqual(5);
+      expect(results[1].contents.toString()).toEqual(sourceContent);
+      var headers = results[4];
+      expect(headers.path).toEqual(path.join(__dirname, 'assets/_headers'));
+      expect(headers.contents.toString()).toEqual(
+        '/dir1/dir2/helloworld.js\n  SourceMap: ../../../maps/dir1/dir2/helloworld.js.map\n' +
+        '/helloworld.js\n  SourceMap: ../maps/helloworld.js.map\n'
+      );
+    }
+
+    pipe([
+      from.obj([file, nestedFile]),
+      sourcemaps.write('../maps', { addComment: false, headers: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should write the headers as JSON and use sourceMappingURLPrefix', function(done) {
+    var file = makeFile();
+
+    function assert(results) {
+      var headers = results[2];
+      expect(headers.path).toEqual(path.join(__dirname, 'assets/headers.json'));
+      expect(JSON.parse(headers.contents.toString())).toEqual({
+        '/helloworld.js': { SourceMap: 'https://asset-host.example.com/maps/helloworld.js.map' },
+      });
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write('../maps', {
+        addComment: false,
+        headers: 'headers.json',
+        sourceMappingURLPrefix: 'https://asset-host.example.com',
+      }),
+      concat(assert),
+    ], done);
+  });
+
   it('should not include source content with option includeContent=false', function(done) {
     var file = makeFile();
 
@@ -351,6 +712,165 @@ describe('write', function() {
     ], done);
   });
 
+  it('should only include the source content matching option includeContent', function(done) {
+    var file = makeFile({
+      sources: ['helloworld.js', 'node_modules/lib.js', 'helloworld2.js'],
+      sourcesContent: [sourceContent, 'lib'],
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.sourcesContent).toEqual([sourceContent, null, sourceContent2]);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write({ includeContent: ['**/*.js', '!node_modules/**'] }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should write the excluded source content with option externalContent', function(done) {
+    var file = makeFile({
+      sources: ['helloworld.js', 'node_modules/lib.js', 'helloworld2.js'],
+      sourcesContent: [sourceContent, 'lib'],
+    });
+
+    function assert(results) {
+      expect(results.length).toEqual(3);
+      expect(results[1].sourceMap.sourcesContent).toEqual([sourceContent, null, null]);
+      expect(results[2].path).toEqual(path.join(__dirname, 'assets/maps/sourcemaps-sources.json'));
+      expect(JSON.parse(results[2].contents.toString())).toEqual({
+        'helloworld2.js': sourceContent2,
+        'node_modules/lib.js': 'lib',
+      });
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write('maps', {
+        includeContent: function(source, file) {
+          expect(file.relative).toEqual('helloworld.js');
+          return source === 'helloworld.js';
+        },
+        externalContent: true,
+      }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should list the sources in node_modules with option ignoreList', function(done) {
+    var file = makeFile({
+      sources: ['helloworld.js', 'node_modules/lib.js', 'vendor/lib.js'],
+      sourcesContent: [sourceContent, 'lib', 'vendor'],
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.ignoreList).toEqual([1, 2]);
+      expect(data.sourceMap.x_google_ignoreList).toEqual([1, 2]);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write({
+        ignoreList: true,
+        mapSources: function(source) {
+          return source.replace('vendor/', '../node_modules/');
+        },
+      }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should list the sources matching option ignoreList', function(done) {
+    var file = makeFile({
+      sources: ['helloworld.js', 'node_modules/lib.js', 'vendor/lib.js'],
+      sourcesContent: [sourceContent, 'lib', 'vendor'],
+    });
+
+    function assert(results) {
+      var data = results[0];
+      expect(data.sourceMap.ignoreList).toEqual([2]);
+      expect(data.sourceMap.x_google_ignoreList).toEqual([2]);
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write({ ignoreList: ['vendor/**'] }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should write minified and deterministic maps with option minify', function(done) {
+    var file = makeFile({
+      sources: ['unused.js', 'b.js', 'a.js'],
+      sourcesContent: ['unused', 'b', 'a'],
+      names: ['unused', 'x'],
+      mappings: mappings.encode([[[4, 2, 0, 0, 1], [0, 1, 0, 0]], []]),
+      preExistingComment: '//# sourceMappingURL=helloworld.js.map',
+      x_google_ignoreList: [0, 2],
+    });
+    var reordered = makeFile({
+      sources: ['a.js', 'b.js'],
+      sourcesContent: ['a', 'b'],
+      names: ['x'],
+      mappings: mappings.encode([[[0, 1, 0, 0], [4, 0, 0, 0, 0]]]),
+      x_google_ignoreList: [0],
+    });
+    reordered.path = path.join(__dirname, 'assets', 'dir1', 'helloworld.js');
+    reordered.sourceMap.file = 'dir1/helloworld.js';
+
+    function assert(results) {
+      var map = JSON.parse(results[0].contents.toString());
+      expect(Object.keys(map)).toEqual(['version', 'file', 'sources', 'sourcesContent', 'names', 'mappings', 'x_google_ignoreList']);
+      expect(map.sources).toEqual(['b.js', 'a.js']);
+      expect(map.sourcesContent).toEqual(['b', 'a']);
+      expect(map.names).toEqual(['x']);
+      expect(mappings.decode(map.mappings)).toEqual([[[0, 0, 0, 0], [4, 1, 0, 0, 0]]]);
+      expect(map.x_google_ignoreList).toEqual([1]);
+      expect(results[1].sourceMap.preExistingComment).toExist();
+
+      var reorderedMap = JSON.parse(results[2].contents.toString());
+      reorderedMap.file = map.file;
+      expect(JSON.stringify(reorderedMap)).toEqual(JSON.stringify(map));
+    }
+
+    pipe([
+      from.obj([file, reordered]),
+      sourcemaps.write('.', { minify: true, includeContent: true }),
+      concat(assert),
+    ], done);
+  });
+
+  it('should pretty print map files with option pretty', function(done) {
+    var file = makeFile({ preExistingComment: '//# sourceMappingURL=helloworld.js.map' });
+    file.sourceMap = {
+      mappings: file.sourceMap.mappings,
+      names: file.sourceMap.names,
+      preExistingComment: file.sourceMap.preExistingComment,
+      sources: file.sourceMap.sources,
+      sourcesContent: file.sourceMap.sourcesContent,
+      version: 3,
+    };
+
+    function assert(results) {
+      var contents = results[0].contents.toString();
+      expect(Object.keys(JSON.parse(contents))).toEqual([
+        'version', 'file', 'sources', 'sourcesContent', 'names', 'mappings', 'preExistingComment',
+      ]);
+      expect(contents.split('\n').slice(0, 3)).toEqual(['{', '\t"version": 3,', '\t"file": "../helloworld.js",']);
+      expect(contents[contents.length - 1]).toEqual('\n');
+      expect(results[1].contents.toString()).toEqual(sourceContent + '//# sourceMappingURL=maps/helloworld.js.map\n');
+    }
+
+    pipe([
+      from.obj([file]),
+      sourcemaps.write('maps', { pretty: '\t' }),
+      concat(assert),
+    ], done);
+  });
+
   it('should fetch missing sourceContent', function(done) {
     var file = makeFile();
     delete file.sourceMap.sourcesContent;